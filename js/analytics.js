@@ -0,0 +1,389 @@
+/**
+ * Analytics
+ * Records anonymous usage events (CTA clicks, dialogs opened, pages shown, scroll depth,
+ * sections viewed and time on page) and hands them to a transport in batches. Nothing leaves
+ * the page until the visitor consents through the consent banner: events recorded
+ * before then wait in memory, and are dropped if the visitor declines.
+ * No identifiers are stored; events from one page view share a random id that is
+ * forgotten when the visitor leaves.
+ * 
+ * Markup:
+ *   data-track="hero-whitepaper"   On a link or button: report clicks as a cta_click
+ *   data-track-view="features"     On an element: report a section_view when it scrolls into view
+ *   data-analytics-endpoint="/api/analytics"  On <body>: send events there with
+ *                                  navigator.sendBeacon; without it events are logged to the console
+ */
+
+import { registerComponent } from './registry.js';
+
+// localStorage key for the visitor's choice
+const CONSENT_STORAGE_KEY = 'platonic.analytics.consent';
+
+// Events kept while waiting for consent; older ones are dropped beyond this
+const MAX_PENDING_EVENTS = 100;
+
+// How often queued events are sent once consent is given
+const FLUSH_INTERVAL = 5000;
+
+// Scroll depths reported, as percentages of the page
+const SCROLL_DEPTH_MARKS = [25, 50, 75, 100];
+
+// Fraction of a [data-track-view] element visible before it counts as viewed
+const SECTION_VIEW_THRESHOLD = 0.1;
+
+/**
+ * Transports
+ * Each returns a function that sends an array of events
+ */
+export const AnalyticsTransports = {
+  /**
+   * Log events to the console (development)
+   * 
+   * @return {Function} - The transport
+   */
+  console() {
+    return function(events) {
+      events.forEach(event => console.log('[analytics]', event.name, event.properties));
+    };
+  },
+  
+  /**
+   * Send events to an endpoint with navigator.sendBeacon, which still delivers
+   * while the page is being unloaded. Falls back to a keepalive fetch
+   * 
+   * @param {string} endpoint - URL to post to
+   * @return {Function} - The transport
+   */
+  beacon(endpoint) {
+    return function(events) {
+      const body = JSON.stringify({ events });
+      
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+      
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(error => console.warn('Could not send analytics events:', error));
+    };
+  },
+  
+  /**
+   * Keep events in an array (tests)
+   * 
+   * @return {Function} - The transport, with the sent events on its events property
+   */
+  memory() {
+    const transport = function(events) {
+      transport.events.push(...events);
+    };
+    transport.events = [];
+    return transport;
+  }
+};
+
+export const analytics = (function() {
+  const listeners = new Set();
+  const pageViewId = Math.random().toString(36).slice(2, 10);
+  let consent = readConsent();
+  let transport = AnalyticsTransports.console();
+  let queue = [];
+  let flushTimer = null;
+  
+  /**
+   * Read the saved choice
+   * A Global Privacy Control signal counts as declining until the visitor says otherwise
+   * 
+   * @return {string|null} - 'granted', 'denied', or null if the visitor hasn't chosen
+   */
+  function readConsent() {
+    try {
+      const saved = localStorage.getItem(CONSENT_STORAGE_KEY);
+      if (saved === 'granted' || saved === 'denied') return saved;
+    } catch (error) {
+      // Storage can be unavailable (e.g. blocked cookies)
+    }
+    
+    return navigator.globalPrivacyControl ? 'denied' : null;
+  }
+  
+  /**
+   * Send everything queued, if the visitor has consented
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    
+    if (consent !== 'granted' || !queue.length) return;
+    
+    const events = queue;
+    queue = [];
+    
+    try {
+      transport(events);
+    } catch (error) {
+      console.warn('Could not send analytics events:', error);
+    }
+  }
+  
+  return {
+    flush,
+    
+    /**
+     * Record an event
+     * 
+     * @param {string} name - Event name, e.g. 'cta_click'
+     * @param {Object} properties - Extra details; keep them free of personal data
+     */
+    track(name, properties = {}) {
+      if (consent === 'denied') return;
+      
+      queue.push({
+        name,
+        properties,
+        page: location.pathname,
+        pageView: pageViewId,
+        time: Date.now()
+      });
+      
+      if (consent !== 'granted') {
+        // Waiting for consent; keep the most recent events only
+        if (queue.length > MAX_PENDING_EVENTS) queue.shift();
+      } else if (flushTimer === null) {
+        flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+      }
+    },
+    
+    /**
+     * Choose where events are sent
+     * 
+     * @param {Function} next - A transport (see AnalyticsTransports)
+     */
+    setTransport(next) {
+      flush();
+      transport = next;
+    },
+    
+    /**
+     * Get the visitor's choice
+     * 
+     * @return {string|null} - 'granted', 'denied', or null if the visitor hasn't chosen
+     */
+    getConsent() {
+      return consent;
+    },
+    
+    /**
+     * Record the visitor's choice and remember it
+     * Granting sends the events recorded so far; declining discards them
+     * 
+     * @param {boolean} granted - Whether the visitor agreed
+     */
+    setConsent(granted) {
+      consent = granted ? 'granted' : 'denied';
+      
+      try {
+        localStorage.setItem(CONSENT_STORAGE_KEY, consent);
+      } catch (error) {
+        console.warn('Could not save the analytics choice:', error);
+      }
+      
+      if (granted) {
+        flush();
+      } else {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        queue = [];
+      }
+      
+      listeners.forEach(listener => listener(consent));
+    },
+    
+    /**
+     * Listen for consent changes
+     * The listener is called immediately with the current choice
+     * 
+     * @param {Function} listener - Called with 'granted', 'denied' or null
+     * @return {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(consent);
+      
+      return () => listeners.delete(listener);
+    }
+  };
+})();
+
+/**
+ * Report clicks on [data-track] links and buttons, dialogs being opened and pages
+ * shown by js/router.js
+ * 
+ * @return {Function} - Call to stop tracking
+ */
+function trackInteractions() {
+  const handleClick = event => {
+    const element = event.target.closest('[data-track]');
+    if (element) analytics.track('cta_click', { cta: element.dataset.track });
+  };
+  
+  const handleDialogOpen = event => {
+    analytics.track('dialog_open', { dialog: event.target.id || event.target.className });
+  };
+  
+  const handleRouteChange = event => {
+    analytics.track('page_view', { page: event.detail.route });
+  };
+  
+  document.addEventListener('click', handleClick);
+  document.addEventListener('dialog:open', handleDialogOpen);
+  document.addEventListener('router:change', handleRouteChange);
+  
+  return () => {
+    document.removeEventListener('click', handleClick);
+    document.removeEventListener('dialog:open', handleDialogOpen);
+    document.removeEventListener('router:change', handleRouteChange);
+  };
+}
+
+/**
+ * Report each scroll depth mark the first time it's reached
+ * 
+ * @return {Function} - Call to stop tracking
+ */
+function trackScrollDepth() {
+  const reached = new Set();
+  let frame = null;
+  
+  const update = () => {
+    frame = null;
+    
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const percent = scrollable > 0 ? (window.pageYOffset / scrollable) * 100 : 100;
+    
+    SCROLL_DEPTH_MARKS.forEach(mark => {
+      if (percent >= mark && !reached.has(mark)) {
+        reached.add(mark);
+        analytics.track('scroll_depth', { percent: mark });
+      }
+    });
+    
+    if (reached.size === SCROLL_DEPTH_MARKS.length) stop();
+  };
+  
+  const handleScroll = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+  
+  const stop = () => {
+    window.removeEventListener('scroll', handleScroll);
+    cancelAnimationFrame(frame);
+  };
+  
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  
+  return stop;
+}
+
+/**
+ * Report [data-track-view] elements the first time they scroll into view
+ * Uses the same one-shot IntersectionObserver approach as initScrollAnimations
+ * 
+ * @return {Function} - Call to stop tracking
+ */
+function trackSectionViews() {
+  if (!('IntersectionObserver' in window)) return () => {};
+  
+  const observed = new WeakSet();
+  const observer = new IntersectionObserver((entries, observer) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      
+      analytics.track('section_view', { section: entry.target.dataset.trackView });
+      observer.unobserve(entry.target);
+    });
+  }, { threshold: SECTION_VIEW_THRESHOLD });
+  
+  // Pages shown by js/router.js bring their own sections
+  const observeSections = () => {
+    document.querySelectorAll('[data-track-view]').forEach(element => {
+      if (observed.has(element)) return;
+      
+      observed.add(element);
+      observer.observe(element);
+    });
+  };
+  
+  observeSections();
+  document.addEventListener('router:change', observeSections);
+  
+  return () => {
+    document.removeEventListener('router:change', observeSections);
+    observer.disconnect();
+  };
+}
+
+/**
+ * Report how long the page has been visible each time the visitor leaves it
+ * Queued events are sent at the same time, while the page can still send them
+ * 
+ * @return {Function} - Call to stop tracking
+ */
+function trackTimeOnPage() {
+  let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  let visibleTime = 0;
+  
+  const handleHide = () => {
+    // Unloading fires both visibilitychange and pagehide; report once
+    if (visibleSince === null) return;
+    
+    visibleTime += Date.now() - visibleSince;
+    visibleSince = null;
+    
+    analytics.track('time_on_page', { seconds: Math.round(visibleTime / 1000) });
+    analytics.flush();
+  };
+  
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') {
+      visibleSince = Date.now();
+    } else {
+      handleHide();
+    }
+  };
+  
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', handleHide);
+  
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', handleHide);
+  };
+}
+
+/**
+ * Pick the transport and start the trackers
+ * 
+ * @return {Object} - Controller with a destroy method
+ */
+function initAnalytics() {
+  const endpoint = document.body.dataset.analyticsEndpoint;
+  analytics.setTransport(endpoint ? AnalyticsTransports.beacon(endpoint) : AnalyticsTransports.console());
+  
+  const stops = [trackInteractions(), trackScrollDepth(), trackSectionViews(), trackTimeOnPage()];
+  
+  return {
+    destroy() {
+      stops.forEach(stop => stop());
+      analytics.flush();
+    }
+  };
+}
+
+registerComponent({
+  name: 'analytics',
+  init: initAnalytics
+});
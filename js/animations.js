@@ -1,138 +1,381 @@
 /**
  * Animations for the website
  * This file contains animation utilities and implementations
+ * fadeIn, fadeOut, slideDown and slideUp return Promises and cancel any animation
+ * already running on the element
  */
 
-// Wait for the DOM to be fully loaded
-document.addEventListener('DOMContentLoaded', function() {
-  // Initialize animations
-  initMouseReactiveBackground();
-  initLoadAnimations();
-  initScrollAnimations();
-  console.log('Animation system ready');
-});
+import { registerComponent } from './registry.js';
+import { motionPreference } from './motionPreference.js';
 
 /**
- * Initialize mouse-reactive background
- * This function is now handled by shaderBackground.js
+ * Easing curves as cubic-bezier control points
+ * The same points drive Web Animations (as a CSS timing function) and the
+ * requestAnimationFrame fallback, so both paths move identically
  */
-function initMouseReactiveBackground() {
-  // This function is now a no-op as it's been replaced by shaderBackground.js
-  // No action needed here
-}
+const EASINGS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  easeIn: [0.42, 0, 1, 1],
+  easeOut: [0, 0, 0.58, 1],
+  easeInOut: [0.42, 0, 0.58, 1],
+  easeOutCubic: [0.33, 1, 0.68, 1],
+  easeInOutCubic: [0.65, 0, 0.35, 1]
+};
+
+// Animations currently running, by element
+const runningAnimations = new WeakMap();
 
 /**
- * Fade in element
+ * Create an easing function from cubic-bezier control points
  * 
- * @param {HTMLElement} element - The element to fade in
- * @param {number} duration - Duration of the animation in milliseconds
- * @param {Function} callback - Optional callback function to run after animation completes
+ * @param {number} x1 - First control point x
+ * @param {number} y1 - First control point y
+ * @param {number} x2 - Second control point x
+ * @param {number} y2 - Second control point y
+ * @return {Function} - Maps progress (0-1) to eased progress
  */
-function fadeIn(element, duration = 500, callback) {
-  if (!element) return;
+function cubicBezier(x1, y1, x2, y2) {
+  const curve = (a, b, t) => ((1 - 3 * b + 3 * a) * t + (3 * b - 6 * a)) * t * t + 3 * a * t;
+  const slope = (a, b, t) => 3 * (1 - 3 * b + 3 * a) * t * t + 2 * (3 * b - 6 * a) * t + 3 * a;
   
-  // Set initial opacity
-  element.style.opacity = 0;
-  element.style.display = 'block';
-  
-  // Get start timestamp
-  let start = null;
-  
-  // Animation step function
-  function step(timestamp) {
-    if (!start) start = timestamp;
-    
-    // Calculate progress
-    const progress = timestamp - start;
-    
-    // Set opacity based on progress
-    element.style.opacity = Math.min(progress / duration, 1);
+  return function(x) {
+    if (x <= 0 || x >= 1) return x;
     
-    // Continue animation if not complete
-    if (progress < duration) {
-      window.requestAnimationFrame(step);
-    } else if (typeof callback === 'function') {
-      // Run callback if provided
-      callback();
+    // Solve curve(t) = x for t with a few Newton-Raphson steps
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = curve(x1, x2, t) - x;
+      const derivative = slope(x1, x2, t);
+      if (Math.abs(error) < 1e-5 || derivative === 0) break;
+      t -= error / derivative;
     }
+    
+    return curve(y1, y2, Math.min(1, Math.max(0, t)));
+  };
+}
+
+/**
+ * Resolve an easing option to a CSS timing function and a JS function
+ * 
+ * @param {string|number[]|Function} easing - EASINGS name, control points, or a function (forces the fallback)
+ * @return {Object} - { css, fn }; css is null for custom functions
+ */
+function resolveEasing(easing) {
+  if (typeof easing === 'function') {
+    return { css: null, fn: easing };
+  }
+  
+  const points = Array.isArray(easing) ? easing : EASINGS[easing];
+  if (!points) {
+    console.warn('Unknown easing, using ease:', easing);
+    return resolveEasing('ease');
   }
   
-  // Start animation
-  window.requestAnimationFrame(step);
+  return {
+    css: `cubic-bezier(${points.join(', ')})`,
+    fn: cubicBezier(...points)
+  };
 }
 
 /**
- * Fade out element
+ * Stop the animation running on an element, leaving it where it is
  * 
- * @param {HTMLElement} element - The element to fade out
- * @param {number} duration - Duration of the animation in milliseconds
- * @param {Function} callback - Optional callback function to run after animation completes
+ * @param {HTMLElement} element - The animated element
  */
-function fadeOut(element, duration = 500, callback) {
-  if (!element) return;
+export function cancelAnimation(element) {
+  const running = runningAnimations.get(element);
+  if (running) running.cancel();
+}
+
+/**
+ * Animate CSS properties of an element
+ * Any animation already running on the element is cancelled first and the new one
+ * starts from wherever it stopped. Uses the Web Animations API when available.
+ * 
+ * @param {HTMLElement} element - The element to animate
+ * @param {Object} properties - CSS properties (camelCase) mapped to [from, to] values
+ * @param {Object} options - Animation options
+ * @param {number} options.duration - Duration in milliseconds
+ * @param {string|number[]|Function} options.easing - Easing curve (see EASINGS)
+ * @return {Promise<boolean>} - Resolves true when finished, false if cancelled
+ */
+export function animate(element, properties, { duration = 500, easing = 'ease' } = {}) {
+  cancelAnimation(element);
   
-  // Set initial opacity
-  element.style.opacity = 1;
+  const keys = Object.keys(properties);
+  const applyFinal = () => keys.forEach(key => { element.style[key] = properties[key][1]; });
   
-  // Get start timestamp
-  let start = null;
+  // Jump to the end when reduced motion is requested or there is nothing to animate
+  if (duration <= 0 || motionPreference.isReduced()) {
+    applyFinal();
+    return Promise.resolve(true);
+  }
+  
+  const { css, fn } = resolveEasing(easing);
   
-  // Animation step function
-  function step(timestamp) {
-    if (!start) start = timestamp;
+  return new Promise(resolve => {
+    let stop;
     
-    // Calculate progress
-    const progress = timestamp - start;
+    const finish = (completed) => {
+      if (runningAnimations.get(element) === running) {
+        runningAnimations.delete(element);
+      }
+      resolve(completed);
+    };
     
-    // Set opacity based on progress
-    element.style.opacity = Math.max(1 - (progress / duration), 0);
+    const running = {
+      cancel() {
+        // Hold the current in-between values so the next animation starts from them
+        const computed = getComputedStyle(element);
+        const current = keys.map(key => computed[key]);
+        stop();
+        keys.forEach((key, i) => { element.style[key] = current[i]; });
+        finish(false);
+      }
+    };
     
-    // Continue animation if not complete
-    if (progress < duration) {
-      window.requestAnimationFrame(step);
+    if (css && typeof element.animate === 'function') {
+      const animation = element.animate(properties, { duration, easing: css, fill: 'forwards' });
+      
+      stop = () => animation.cancel();
+      animation.onfinish = () => {
+        // Keep the end state as inline styles rather than an animation fill
+        applyFinal();
+        animation.cancel();
+        finish(true);
+      };
     } else {
-      // Hide element when animation completes
-      element.style.display = 'none';
+      let start = null;
+      let frame = null;
+      const values = keys.map(key => properties[key].map(parseAnimatableValue));
       
-      // Run callback if provided
-      if (typeof callback === 'function') {
-        callback();
-      }
+      // Animation step function
+      const step = (timestamp) => {
+        if (!start) start = timestamp;
+        
+        // Calculate eased progress
+        const progress = Math.min((timestamp - start) / duration, 1);
+        const eased = fn(progress);
+        
+        keys.forEach((key, i) => {
+          const [from, to] = values[i];
+          element.style[key] = `${from.number + (to.number - from.number) * eased}${to.unit}`;
+        });
+        
+        // Continue animation if not complete
+        if (progress < 1) {
+          frame = window.requestAnimationFrame(step);
+        } else {
+          applyFinal();
+          finish(true);
+        }
+      };
+      
+      stop = () => window.cancelAnimationFrame(frame);
+      frame = window.requestAnimationFrame(step);
     }
-  }
+    
+    runningAnimations.set(element, running);
+  });
+}
+
+/**
+ * Split a CSS value such as '12.5px' into its number and unit
+ * 
+ * @param {string|number} value - The CSS value
+ * @return {Object} - { number, unit }
+ */
+function parseAnimatableValue(value) {
+  const match = String(value).match(/^(-?[\d.]+)([a-z%]*)$/i);
+  return match ? { number: parseFloat(match[1]), unit: match[2] } : { number: 0, unit: '' };
+}
+
+/**
+ * Allow a duration to be passed on its own in place of an options object
+ * 
+ * @param {number|Object} options - Duration in milliseconds, or animation options
+ * @return {Object} - Animation options
+ */
+function normalizeAnimationOptions(options) {
+  return typeof options === 'number' ? { duration: options } : options;
+}
+
+/**
+ * Fade in element
+ * Starts from the current opacity if the element is already partly visible
+ * 
+ * @param {HTMLElement} element - The element to fade in
+ * @param {number|Object} options - Duration in milliseconds, or { duration, easing, display }
+ * @return {Promise<boolean>} - Resolves true when finished, false if interrupted
+ */
+export function fadeIn(element, options = {}) {
+  if (!element) return Promise.resolve(false);
+  
+  const { duration = 500, easing = 'easeOut', display = 'block' } = normalizeAnimationOptions(options);
+  
+  cancelAnimation(element);
+  
+  const hidden = getComputedStyle(element).display === 'none';
+  const from = hidden ? 0 : parseFloat(getComputedStyle(element).opacity);
   
-  // Start animation
-  window.requestAnimationFrame(step);
+  element.hidden = false;
+  if (hidden) element.style.display = display;
+  
+  return animate(element, { opacity: [String(from), '1'] }, { duration, easing });
+}
+
+/**
+ * Fade out element and hide it when done
+ * 
+ * @param {HTMLElement} element - The element to fade out
+ * @param {number|Object} options - Duration in milliseconds, or { duration, easing }
+ * @return {Promise<boolean>} - Resolves true when finished, false if interrupted
+ */
+export function fadeOut(element, options = {}) {
+  if (!element) return Promise.resolve(false);
+  
+  const { duration = 500, easing = 'easeIn' } = normalizeAnimationOptions(options);
+  
+  cancelAnimation(element);
+  const from = parseFloat(getComputedStyle(element).opacity);
+  
+  return animate(element, { opacity: [String(from), '0'] }, { duration, easing }).then(completed => {
+    // Hide element when animation completes
+    if (completed) element.style.display = 'none';
+    return completed;
+  });
 }
 
 /**
- * Slide down element
+ * Slide down element to its natural (auto) height
  * 
  * @param {HTMLElement} element - The element to slide down
- * @param {number} duration - Duration of the animation in milliseconds
- * @param {Function} callback - Optional callback function to run after animation completes
+ * @param {number|Object} options - Duration in milliseconds, or { duration, easing, display }
+ * @return {Promise<boolean>} - Resolves true when finished, false if interrupted
  */
-function slideDown(element, duration = 500, callback) {
-  // This is a placeholder for future implementation
-  console.log('Slide down animation will be implemented in the future');
+export function slideDown(element, options = {}) {
+  if (!element) return Promise.resolve(false);
+  
+  const { duration = 500, easing = 'easeInOut', display = 'block' } = normalizeAnimationOptions(options);
+  
+  // Stopping a running slide leaves its current height inline to start from
+  cancelAnimation(element);
+  
+  const wasHidden = element.hidden || getComputedStyle(element).display === 'none';
+  element.hidden = false;
+  if (getComputedStyle(element).display === 'none') element.style.display = display;
+  
+  const start = wasHidden ? collapsedBox() : currentBox(element);
+  const end = naturalBox(element);
+  
+  element.style.overflow = 'hidden';
+  
+  return animate(element, boxKeyframes(start, end), { duration, easing }).then(completed => {
+    // Hand the height back to the content once open
+    if (completed) clearBoxStyles(element);
+    return completed;
+  });
 }
 
 /**
- * Slide up element
+ * Slide up element and hide it when done
  * 
  * @param {HTMLElement} element - The element to slide up
- * @param {number} duration - Duration of the animation in milliseconds
- * @param {Function} callback - Optional callback function to run after animation completes
+ * @param {number|Object} options - Duration in milliseconds, or { duration, easing }
+ * @return {Promise<boolean>} - Resolves true when finished, false if interrupted
  */
-function slideUp(element, duration = 500, callback) {
-  // This is a placeholder for future implementation
-  console.log('Slide up animation will be implemented in the future');
+export function slideUp(element, options = {}) {
+  if (!element) return Promise.resolve(false);
+  
+  const { duration = 500, easing = 'easeInOut' } = normalizeAnimationOptions(options);
+  
+  cancelAnimation(element);
+  if (element.hidden || getComputedStyle(element).display === 'none') {
+    return Promise.resolve(true);
+  }
+  
+  element.style.overflow = 'hidden';
+  
+  return animate(element, boxKeyframes(currentBox(element), collapsedBox()), { duration, easing }).then(completed => {
+    if (completed) {
+      clearBoxStyles(element);
+      element.style.display = 'none';
+    }
+    return completed;
+  });
+}
+
+/**
+ * Vertical box measurements for a fully collapsed element
+ * 
+ * @return {Object} - { height, paddingTop, paddingBottom } in pixels
+ */
+function collapsedBox() {
+  return { height: 0, paddingTop: 0, paddingBottom: 0 };
+}
+
+/**
+ * Vertical box measurements of an element as currently rendered
+ * 
+ * @param {HTMLElement} element - The element to measure
+ * @return {Object} - { height, paddingTop, paddingBottom } in pixels
+ */
+function currentBox(element) {
+  const computed = getComputedStyle(element);
+  return {
+    height: element.getBoundingClientRect().height,
+    paddingTop: parseFloat(computed.paddingTop) || 0,
+    paddingBottom: parseFloat(computed.paddingBottom) || 0
+  };
+}
+
+/**
+ * Vertical box measurements of an element at its auto height
+ * 
+ * @param {HTMLElement} element - The element to measure
+ * @return {Object} - { height, paddingTop, paddingBottom } in pixels
+ */
+function naturalBox(element) {
+  const saved = [element.style.height, element.style.paddingTop, element.style.paddingBottom];
+  clearBoxStyles(element);
+  
+  const box = currentBox(element);
+  [element.style.height, element.style.paddingTop, element.style.paddingBottom] = saved;
+  return box;
+}
+
+/**
+ * Keyframes between two box measurements
+ * 
+ * @param {Object} from - Start box
+ * @param {Object} to - End box
+ * @return {Object} - Properties mapped to [from, to] pixel values
+ */
+function boxKeyframes(from, to) {
+  const keyframes = {};
+  Object.keys(from).forEach(key => {
+    keyframes[key] = [`${from[key]}px`, `${to[key]}px`];
+  });
+  return keyframes;
+}
+
+/**
+ * Remove the inline styles used while sliding
+ * 
+ * @param {HTMLElement} element - The slid element
+ */
+function clearBoxStyles(element) {
+  element.style.height = '';
+  element.style.paddingTop = '';
+  element.style.paddingBottom = '';
+  element.style.overflow = '';
 }
 
 /**
  * Initialize animations for elements that should animate on page load
  */
-function initLoadAnimations() {
+export function initLoadAnimations() {
   // Get all elements with the initially-hidden class that should animate on load
   const heroElements = document.querySelectorAll('.initially-hidden');
   
@@ -142,42 +385,167 @@ function initLoadAnimations() {
   });
   
   // Trigger animations immediately after the page has loaded
+  // With reduced motion the transitions are disabled in CSS, so this applies the final state at once
   heroElements.forEach(element => {
     element.classList.add('animated');
   });
 }
 
+/**
+ * Defaults for declarative scroll animations
+ * Each can be overridden per element with data-animate-* attributes
+ */
+const SCROLL_ANIMATION_DEFAULTS = {
+  threshold: 0.1, // Trigger when at least 10% of the element is visible
+  rootMargin: '0px 0px -50px 0px' // Wait until the element is slightly inside the viewport
+};
+
+// Elements already handed to a scroll observer
+const scrollAnimatedElements = new WeakSet();
+
 /**
  * Initialize animations for elements that should animate on scroll
+ * 
+ * Markup:
+ *   data-animate="fade-up|fade|slide-left|slide-right|scale"  Animation to play
+ *   data-animate-delay="200"       Delay in milliseconds
+ *   data-animate-duration="800"    Duration in milliseconds
+ *   data-animate-threshold="0.3"   Fraction of the element visible before it plays
+ *   data-animate-replay            Play again every time the element re-enters the viewport
+ *   data-animate-stagger="100"     On a container: children revealed together play this many
+ *                                  milliseconds apart, in document order
+ * 
+ * @param {HTMLElement|Document} root - Where to look for [data-animate] elements
+ * @return {Object} - { disconnect } to stop observing
  */
-function initScrollAnimations() {
-  // Select all elements that should animate on scroll
-  const scrollElements = document.querySelectorAll('.features-section .features-title, .features-section .features-description, .features-section .features-img, .features-section .feature-card');
+export function initScrollAnimations(root = document) {
+  // Select all elements that should animate on scroll and haven't been set up yet
+  const scrollElements = Array.from(root.querySelectorAll('[data-animate]')).filter(element => {
+    return !scrollAnimatedElements.has(element);
+  });
+  
+  // One observer per threshold
+  const observers = new Map();
   
-  // Add the animation class
   scrollElements.forEach(element => {
-    element.classList.add('animate-on-scroll');
+    scrollAnimatedElements.add(element);
+    
+    const duration = parseFloat(element.dataset.animateDuration);
+    if (!isNaN(duration)) {
+      element.style.setProperty('--animate-duration', `${duration}ms`);
+    }
+    
+    applyAnimationDelay(element, 0);
   });
   
-  // Create an Intersection Observer
-  const observer = new IntersectionObserver((entries) => {
+  /**
+   * Reveal entering elements and reset replayable ones that left
+   * 
+   * @param {IntersectionObserverEntry[]} entries - Observer entries
+   * @param {IntersectionObserver} observer - The observer
+   */
+  function handleEntries(entries, observer) {
+    // Elements in the same stagger container that enter together play one after another
+    const staggerGroups = new Map();
+    
     entries.forEach(entry => {
-      // If the element is in the viewport
+      const element = entry.target;
+      
       if (entry.isIntersecting) {
-        // Add the animated class to trigger the animation
-        entry.target.classList.add('animated');
-        // Unobserve the element after it's been animated
-        observer.unobserve(entry.target);
+        const container = element.parentElement && element.parentElement.closest('[data-animate-stagger]');
+        if (!staggerGroups.has(container)) staggerGroups.set(container, []);
+        staggerGroups.get(container).push(element);
+      } else if ('animateReplay' in element.dataset && element.classList.contains('animated')) {
+        // Reset without a delay so it plays again next time it scrolls into view
+        element.style.setProperty('--animate-delay', '0ms');
+        element.classList.remove('animated');
       }
     });
-  }, {
-    // Options for the observer
-    threshold: 0.1, // Trigger when at least 10% of the element is visible
-    rootMargin: '0px 0px -50px 0px' // Trigger slightly before the element enters the viewport
-  });
+    
+    staggerGroups.forEach((elements, container) => {
+      const stagger = container ? parseFloat(container.dataset.animateStagger) || 0 : 0;
+      
+      elements
+        .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+        .forEach((element, index) => {
+          applyAnimationDelay(element, index * stagger);
+          
+          // Add the animated class to trigger the animation
+          element.classList.add('animated');
+          
+          // Unobserve the element after it's been animated, unless it replays
+          if (!('animateReplay' in element.dataset)) {
+            observer.unobserve(element);
+          }
+        });
+    });
+  }
   
-  // Observe each element
-  scrollElements.forEach(element => {
-    observer.observe(element);
+  /**
+   * Get the observer for an element's threshold
+   * 
+   * @param {HTMLElement} element - The animated element
+   * @return {IntersectionObserver} - The observer
+   */
+  function getObserver(element) {
+    const threshold = parseFloat(element.dataset.animateThreshold);
+    const key = isNaN(threshold) ? SCROLL_ANIMATION_DEFAULTS.threshold : threshold;
+    
+    if (!observers.has(key)) {
+      observers.set(key, new IntersectionObserver(handleEntries, {
+        threshold: key,
+        rootMargin: SCROLL_ANIMATION_DEFAULTS.rootMargin
+      }));
+    }
+    
+    return observers.get(key);
+  }
+  
+  // With reduced motion, reveal everything at once instead of waiting for it to scroll into view
+  // This also runs if the preference is switched on while elements are still pending
+  const unsubscribe = motionPreference.subscribe(reduced => {
+    scrollElements.forEach(element => {
+      const observer = getObserver(element);
+      
+      if (reduced) {
+        element.classList.add('animated');
+        observer.unobserve(element);
+      } else if (!element.classList.contains('animated') || 'animateReplay' in element.dataset) {
+        observer.observe(element);
+      }
+    });
   });
+  
+  return {
+    disconnect() {
+      unsubscribe();
+      observers.forEach(observer => observer.disconnect());
+      observers.clear();
+    }
+  };
 }
+
+/**
+ * Set an element's transition delay from data-animate-delay plus any stagger offset
+ * 
+ * @param {HTMLElement} element - The animated element
+ * @param {number} offset - Extra delay in milliseconds
+ */
+function applyAnimationDelay(element, offset) {
+  const delay = (parseFloat(element.dataset.animateDelay) || 0) + offset;
+  element.style.setProperty('--animate-delay', `${delay}ms`);
+}
+
+// The pointer-reactive background is its own component in shaderBackground.js
+registerComponent({
+  name: 'animations',
+  init() {
+    initLoadAnimations();
+    const scrollAnimations = initScrollAnimations();
+    console.log('Animation system ready');
+    return scrollAnimations;
+  },
+  destroy(scrollAnimations) {
+    scrollAnimations.disconnect();
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * Application entry point
+ * Importing a feature module registers its component; everything is then started
+ * from here, in dependency order, once the DOM is ready
+ */
+
+import { startComponents, getComponent } from './registry.js';
+
+// Features register themselves on import
+import './i18n.js';
+import './analytics.js';
+import './consentBanner.js';
+import './theme.js';
+import './shaderBackground.js';
+import './scrollEffects.js';
+import './animations.js';
+import './features.js';
+import './dropdown.js';
+import './mobileMenu.js';
+import './smoothScroll.js';
+import './contactDialog.js';
+import './whitepaper.js';
+import './router.js';
+import './debug.js';
+
+/**
+ * Start every registered component
+ */
+function startApp() {
+  startComponents().then(report => {
+    console.log(`Started ${report.started.length} component(s)`);
+    
+    if (report.failed.length || report.skipped.length) {
+      console.warn('Components not running:', report.failed.concat(report.skipped).join(', '));
+    }
+    
+    // Without the router, route URLs get the home page rather than a blank view
+    if (!getComponent('router')) {
+      document.documentElement.classList.remove('route-pending');
+    }
+  });
+}
+
+// Module scripts run after the document is parsed, but check in case this is loaded dynamically
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startApp);
+} else {
+  startApp();
+}
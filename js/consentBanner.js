@@ -0,0 +1,102 @@
+/**
+ * Analytics consent banner
+ * Asks once whether anonymous usage analytics may be sent, and remembers the answer
+ * (see js/analytics.js). [data-consent-manage] buttons bring the banner back so the
+ * visitor can change their mind
+ */
+
+import { registerComponent } from './registry.js';
+import { analytics } from './analytics.js';
+import { fadeIn, fadeOut } from './animations.js';
+
+export class ConsentBanner {
+  /**
+   * @param {HTMLElement} element - The [data-consent-banner] element, with
+   *   [data-consent="granted"] and [data-consent="denied"] buttons
+   */
+  constructor(element) {
+    this.element = element;
+    this.manageButtons = Array.from(document.querySelectorAll('[data-consent-manage]'));
+    this.returnFocusTo = null;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleManageClick = this.handleManageClick.bind(this);
+    
+    element.addEventListener('click', this.handleClick);
+    this.manageButtons.forEach(button => button.addEventListener('click', this.handleManageClick));
+    
+    if (analytics.getConsent() === null) {
+      this.show();
+    }
+  }
+  
+  /**
+   * Remove the event listeners
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.handleClick);
+    this.manageButtons.forEach(button => button.removeEventListener('click', this.handleManageClick));
+  }
+  
+  /**
+   * Show the banner
+   * 
+   * @return {Promise<boolean>} - Resolves when the fade in finishes
+   */
+  show() {
+    return fadeIn(this.element, { duration: 200, display: 'flex' });
+  }
+  
+  /**
+   * Hide the banner, returning focus to the button that reopened it
+   * 
+   * @return {Promise<boolean>} - Resolves when the fade out finishes
+   */
+  hide() {
+    if (this.returnFocusTo && this.element.contains(document.activeElement)) {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+    
+    return fadeOut(this.element, { duration: 150 }).then(completed => {
+      if (completed) this.element.hidden = true;
+      return completed;
+    });
+  }
+  
+  /**
+   * Record the choice from the banner's buttons
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const button = event.target.closest('[data-consent]');
+    if (!button) return;
+    
+    analytics.setConsent(button.dataset.consent === 'granted');
+    this.hide();
+  }
+  
+  /**
+   * Bring the banner back and move focus into it
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleManageClick(event) {
+    this.returnFocusTo = event.currentTarget;
+    this.show();
+    
+    const current = this.element.querySelector(`[data-consent="${analytics.getConsent()}"]`);
+    (current || this.element.querySelector('[data-consent]')).focus();
+  }
+}
+
+// Starts after the translations so the banner never flashes up in the wrong language
+registerComponent({
+  name: 'consent',
+  deps: ['i18n', 'analytics'],
+  init() {
+    const element = document.querySelector('[data-consent-banner]');
+    return element ? new ConsentBanner(element) : null;
+  }
+});
@@ -0,0 +1,522 @@
+/**
+ * Contact dialog
+ * Opened from any #contact link and from the #contact deep link. The form is validated
+ * client-side, bots are filtered out with a honeypot field and a minimum fill time,
+ * and the message is sent through a submission adapter (see ContactAdapters)
+ */
+
+import { registerComponent } from './registry.js';
+import { Dialog } from './dialog.js';
+import { i18n } from './i18n.js';
+
+// Free webmail providers; the form asks for a work address
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com', 'yandex.com', 'zoho.com'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Submissions sent sooner than this after the dialog opens are assumed to be bots
+const CONTACT_MIN_FILL_TIME = 3000;
+
+// Automatic retries for network and server errors, before the error state is shown
+const CONTACT_RETRIES = 1;
+const CONTACT_RETRY_DELAY = 1500;
+
+/**
+ * Validation rules for each form field
+ * Each returns a translated error message, or null when the value is valid
+ */
+export const CONTACT_VALIDATORS = {
+  name(value) {
+    return value ? null : i18n.t('form.errors.nameRequired');
+  },
+  email(value) {
+    if (!value) return i18n.t('form.errors.emailRequired');
+    if (!EMAIL_PATTERN.test(value)) return i18n.t('form.errors.emailInvalid');
+    
+    const domain = value.split('@').pop().toLowerCase();
+    if (FREE_EMAIL_DOMAINS.indexOf(domain) !== -1) return i18n.t('form.errors.emailWork');
+    
+    return null;
+  },
+  institution(value) {
+    return value ? null : i18n.t('form.errors.institutionRequired');
+  },
+  message(value) {
+    if (!value) return i18n.t('form.errors.messageRequired');
+    if (value.length < 20) return i18n.t('form.errors.messageShort');
+    return null;
+  }
+};
+
+/**
+ * Error raised by a submission adapter
+ * Retryable errors (network failures, timeouts, 5xx) are retried automatically
+ */
+export class ContactSubmitError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {boolean} retryable - Whether sending again might succeed
+   */
+  constructor(message, retryable = true) {
+    super(message);
+    this.name = 'ContactSubmitError';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Submission adapters
+ * An adapter is a function taking the form payload and returning a Promise that
+ * resolves with { method } once sent, or rejects with a ContactSubmitError
+ */
+export const ContactAdapters = {
+  /**
+   * POST the payload as JSON to an endpoint
+   * 
+   * @param {string} endpoint - URL to post to
+   * @param {number} timeout - Milliseconds before the request is abandoned
+   * @return {Function} - The adapter
+   */
+  fetch(endpoint, timeout = 10000) {
+    return function(payload) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+      
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: controller ? controller.signal : undefined
+      })
+        .then(response => {
+          clearTimeout(timer);
+          
+          if (!response.ok) {
+            // Client errors won't go away by sending the same thing again
+            const retryable = response.status >= 500 || response.status === 429;
+            throw new ContactSubmitError(`HTTP ${response.status}`, retryable);
+          }
+          
+          return { method: 'fetch' };
+        }, error => {
+          clearTimeout(timer);
+          throw new ContactSubmitError(error.name === 'AbortError' ? 'Request timed out' : error.message, true);
+        });
+    };
+  },
+  
+  /**
+   * Hand the message to the visitor's email app
+   * 
+   * @param {string} address - Address to send to
+   * @return {Function} - The adapter
+   */
+  mailto(address) {
+    return function(payload) {
+      const subject = `Enquiry from ${payload.name}, ${payload.institution}`;
+      const body = `${payload.message}\n\n${payload.name}\n${payload.institution}\n${payload.email}`;
+      
+      window.location.href = `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+      return Promise.resolve({ method: 'mailto' });
+    };
+  }
+};
+
+export class ContactDialog {
+  /**
+   * @param {HTMLElement} element - The .contact-dialog element
+   * @param {Object} options - Submission options; default to the element's data-* attributes
+   * @param {Function} options.adapter - Adapter used to send the form
+   * @param {Function} options.fallbackAdapter - Adapter offered when sending fails
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.form = element.querySelector('.contact-form');
+    if (!this.form) {
+      console.error('Contact form not found in', element);
+      return;
+    }
+    
+    this.dialog = new Dialog(element);
+    this.submitButton = this.form.querySelector('[type="submit"]');
+    this.fallbackButton = this.form.querySelector('.contact-fallback');
+    this.status = this.form.querySelector('.form-status');
+    this.success = element.querySelector('.contact-success');
+    
+    const { endpoint, mailto } = element.dataset;
+    this.adapter = options.adapter || (endpoint ? ContactAdapters.fetch(endpoint) : mailto ? ContactAdapters.mailto(mailto) : null);
+    this.fallbackAdapter = options.fallbackAdapter || (endpoint && mailto ? ContactAdapters.mailto(mailto) : null);
+    
+    if (!this.adapter) {
+      console.warn('No contact endpoint or mailto address configured');
+    }
+    
+    this.openedAt = 0;
+    this.state = 'idle';
+    
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleFieldBlur = this.handleFieldBlur.bind(this);
+    this.handleFieldInput = this.handleFieldInput.bind(this);
+    this.handleFallbackClick = this.handleFallbackClick.bind(this);
+    this.handleLinkClick = this.handleLinkClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleClose = this.handleClose.bind(this);
+    this.updateSubmitLabel = this.updateSubmitLabel.bind(this);
+    
+    this.form.noValidate = true;
+    this.form.addEventListener('submit', this.handleSubmit);
+    this.form.addEventListener('focusout', this.handleFieldBlur);
+    this.form.addEventListener('input', this.handleFieldInput);
+    if (this.fallbackButton) {
+      this.fallbackButton.addEventListener('click', this.handleFallbackClick);
+    }
+    
+    element.addEventListener('dialog:close', this.handleClose);
+    document.addEventListener('click', this.handleLinkClick);
+    window.addEventListener('hashchange', this.handleHashChange);
+    
+    this.setState('idle');
+    this.unsubscribeLocale = i18n.subscribe(this.updateSubmitLabel);
+    
+    if (location.hash === '#contact') {
+      this.open();
+    }
+  }
+  
+  /**
+   * Open the dialog, starting over if the last message was sent
+   */
+  open() {
+    if (this.dialog.isOpen) return;
+    
+    if (this.state === 'success') {
+      this.reset();
+    }
+    
+    this.openedAt = Date.now();
+    this.dialog.open();
+  }
+  
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.dialog.close();
+  }
+  
+  /**
+   * Remove the dialog's event listeners
+   */
+  destroy() {
+    this.dialog.destroy();
+    this.element.removeEventListener('dialog:close', this.handleClose);
+    document.removeEventListener('click', this.handleLinkClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    this.unsubscribeLocale();
+  }
+  
+  /**
+   * Clear the form and return to its initial state
+   */
+  reset() {
+    this.form.reset();
+    Object.keys(CONTACT_VALIDATORS).forEach(name => this.setFieldError(name, null));
+    this.form.hidden = false;
+    if (this.success) this.success.hidden = true;
+    this.setState('idle');
+  }
+  
+  /**
+   * Read the form fields
+   * 
+   * @return {Object} - Trimmed field values keyed by name
+   */
+  getValues() {
+    const values = {};
+    
+    Object.keys(CONTACT_VALIDATORS).forEach(name => {
+      const field = this.form.elements[name];
+      values[name] = field ? field.value.trim() : '';
+    });
+    
+    return values;
+  }
+  
+  /**
+   * Validate one field and show or clear its error
+   * 
+   * @param {string} name - Field name
+   * @return {boolean} - Whether the field is valid
+   */
+  validateField(name) {
+    const field = this.form.elements[name];
+    if (!field) return true;
+    
+    const error = CONTACT_VALIDATORS[name](field.value.trim());
+    this.setFieldError(name, error);
+    return !error;
+  }
+  
+  /**
+   * Validate every field
+   * 
+   * @return {string[]} - Names of the invalid fields, in form order
+   */
+  validate() {
+    return Object.keys(CONTACT_VALIDATORS).filter(name => !this.validateField(name));
+  }
+  
+  /**
+   * Show or clear the error message for a field
+   * 
+   * @param {string} name - Field name
+   * @param {string|null} message - Error message, or null to clear it
+   */
+  setFieldError(name, message) {
+    const field = this.form.elements[name];
+    if (!field) return;
+    
+    const error = this.form.querySelector(`[data-error-for="${name}"]`);
+    
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+    
+    if (error) {
+      error.textContent = message || '';
+      error.hidden = !message;
+    }
+  }
+  
+  /**
+   * Update the submit button and status message for a submission state
+   * 
+   * @param {string} state - 'idle', 'submitting', 'error' or 'success'
+   * @param {string} message - Status message to announce
+   */
+  setState(state, message = '') {
+    this.state = state;
+    this.form.dataset.state = state;
+    this.form.setAttribute('aria-busy', String(state === 'submitting'));
+    
+    if (this.submitButton) {
+      this.submitButton.disabled = state === 'submitting';
+      this.updateSubmitLabel();
+    }
+    
+    if (this.fallbackButton) {
+      this.fallbackButton.hidden = state !== 'error' || !this.fallbackAdapter;
+    }
+    
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+  
+  /**
+   * Label the submit button for the current state, in the current language
+   */
+  updateSubmitLabel() {
+    if (!this.submitButton) return;
+    
+    const key = ContactDialog.SUBMIT_LABELS[this.state] || ContactDialog.SUBMIT_LABELS.idle;
+    this.submitButton.textContent = i18n.t(key);
+  }
+  
+  /**
+   * Validate and send the form
+   * 
+   * @param {Event} event - The submit event
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+    if (this.state === 'submitting') return;
+    
+    const invalid = this.validate();
+    if (invalid.length) {
+      this.setState('idle', i18n.t('contact.status.invalid'));
+      this.form.elements[invalid[0]].focus();
+      return;
+    }
+    
+    // Only bots fill in the hidden field, so they're shown the success they expect
+    const honeypot = this.form.elements.website;
+    if (honeypot && honeypot.value) {
+      console.warn('Contact form submission ignored as spam');
+      this.showSuccess({ method: 'fetch' });
+      return;
+    }
+    
+    // Faster than anyone could type; a person only has to send it again
+    if (Date.now() - this.openedAt < CONTACT_MIN_FILL_TIME) {
+      this.setState('idle', i18n.t('contact.status.tooFast'));
+      return;
+    }
+    
+    if (!this.adapter) {
+      this.setState('error', i18n.t('contact.status.unavailable'));
+      return;
+    }
+    
+    this.submit(this.adapter, CONTACT_RETRIES);
+  }
+  
+  /**
+   * Send the form with an adapter
+   * 
+   * @param {Function} adapter - Submission adapter
+   * @param {number} retries - Automatic retries left for retryable errors
+   * @return {Promise} - Resolves once the success or error state is shown
+   */
+  submit(adapter, retries = 0) {
+    const payload = Object.assign(this.getValues(), {
+      page: location.href,
+      fillTime: Date.now() - this.openedAt
+    });
+    
+    this.setState('submitting', i18n.t('contact.status.sending'));
+    
+    return this.send(adapter, payload, retries)
+      .then(result => this.showSuccess(result))
+      .catch(error => {
+        console.error('Error sending contact form:', error);
+        
+        this.setState('error', i18n.t(error.retryable === false
+          ? 'contact.status.rejected'
+          : 'contact.status.unreachable'));
+      });
+  }
+  
+  /**
+   * Call an adapter, retrying retryable errors after a short delay
+   * 
+   * @param {Function} adapter - Submission adapter
+   * @param {Object} payload - Form values to send
+   * @param {number} retries - Retries left
+   * @return {Promise<Object>} - The adapter result
+   */
+  send(adapter, payload, retries) {
+    return adapter(payload).catch(error => {
+      if (retries <= 0 || error.retryable === false) throw error;
+      
+      return new Promise(resolve => setTimeout(resolve, CONTACT_RETRY_DELAY))
+        .then(() => this.send(adapter, payload, retries - 1));
+    });
+  }
+  
+  /**
+   * Replace the form with the thank-you message
+   * 
+   * @param {Object} result - The adapter result
+   */
+  showSuccess(result) {
+    this.setState('success');
+    if (!this.success) return;
+    
+    const message = this.success.querySelector('.contact-success-message');
+    if (message) {
+      message.textContent = i18n.t(result.method === 'mailto'
+        ? 'contact.success.mailto'
+        : 'contact.success.message');
+    }
+    
+    this.form.hidden = true;
+    this.success.hidden = false;
+    
+    const heading = this.success.querySelector('h2, h3') || this.success;
+    heading.setAttribute('tabindex', '-1');
+    heading.focus();
+  }
+  
+  /**
+   * Validate a field once the user leaves it
+   * 
+   * @param {FocusEvent} event - The focusout event
+   */
+  handleFieldBlur(event) {
+    const name = event.target.name;
+    if (CONTACT_VALIDATORS[name] && event.target.value) {
+      this.validateField(name);
+    }
+  }
+  
+  /**
+   * Clear a field's error as soon as it's corrected
+   * 
+   * @param {InputEvent} event - The input event
+   */
+  handleFieldInput(event) {
+    const name = event.target.name;
+    if (CONTACT_VALIDATORS[name] && event.target.getAttribute('aria-invalid') === 'true') {
+      this.validateField(name);
+    }
+  }
+  
+  /**
+   * Send with the fallback adapter after the main one failed
+   */
+  handleFallbackClick() {
+    if (this.fallbackAdapter && this.state === 'error') {
+      this.submit(this.fallbackAdapter);
+    }
+  }
+  
+  /**
+   * Open from links to #contact anywhere on the page
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    const link = event.target.closest('a[href="#contact"]');
+    if (!link) return;
+    
+    event.preventDefault();
+    this.open();
+  }
+  
+  /**
+   * Open when #contact is entered in the address bar
+   */
+  handleHashChange() {
+    if (location.hash === '#contact') {
+      this.open();
+    }
+  }
+  
+  /**
+   * Drop the #contact deep link once the dialog is closed
+   */
+  handleClose() {
+    if (location.hash === '#contact') {
+      history.replaceState(history.state, '', location.pathname + location.search);
+    }
+  }
+}
+
+// Translation keys for the submit button text in each state
+ContactDialog.SUBMIT_LABELS = {
+  idle: 'contact.submit.idle',
+  submitting: 'contact.submit.submitting',
+  error: 'contact.submit.error',
+  success: 'contact.submit.idle'
+};
+
+registerComponent({
+  name: 'contact-dialog',
+  deps: ['i18n'],
+  init() {
+    const element = document.querySelector('.contact-dialog');
+    return element ? new ContactDialog(element) : null;
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Debug overlay loader
+ * Opens the shader tuning and performance overlay (js/debugOverlay.js) when the page
+ * is loaded with ?debug, or with Ctrl+Shift+D. The overlay's code and styles are only
+ * fetched then, so a normal page view pays for nothing but this key listener
+ */
+
+import { registerComponent, getComponent } from './registry.js';
+
+/**
+ * Listen for the shortcut and open the overlay if asked for in the URL
+ * 
+ * @return {Object} - Controller with toggle and destroy methods
+ */
+function initDebug() {
+  let overlay = null;
+  let loading = null;
+  
+  const open = () => {
+    if (!loading) {
+      loading = import('./debugOverlay.js')
+        .then(({ DebugOverlay }) => {
+          overlay = new DebugOverlay(getComponent('shader-background') || []);
+          return overlay;
+        })
+        .catch(error => {
+          console.error('Error loading the debug overlay:', error);
+          loading = null;
+        });
+    }
+    
+    return loading;
+  };
+  
+  const toggle = () => {
+    if (overlay) {
+      overlay.toggle();
+    } else {
+      open();
+    }
+  };
+  
+  const handleKeydown = event => {
+    if (event.ctrlKey && event.shiftKey && !event.altKey && event.key.toLowerCase() === 'd') {
+      event.preventDefault();
+      toggle();
+    }
+  };
+  
+  document.addEventListener('keydown', handleKeydown);
+  
+  if (new URLSearchParams(location.search).has('debug')) {
+    open();
+  }
+  
+  return {
+    toggle,
+    destroy() {
+      document.removeEventListener('keydown', handleKeydown);
+      if (overlay) overlay.destroy();
+      overlay = null;
+    }
+  };
+}
+
+// Starts after the backgrounds so the overlay has instances to tune
+registerComponent({
+  name: 'debug',
+  deps: ['shader-background'],
+  init: initDebug
+});
@@ -0,0 +1,425 @@
+/**
+ * Shader debug overlay
+ * Sliders, color pickers and switches bound to a shader background's options, live
+ * performance figures from its quality governor, and the tuned options as JSON to
+ * paste back into the config (ShaderBackground.DEFAULTS, constructor options or
+ * setOptions). Loaded on demand by js/debug.js
+ */
+
+import { ShaderBackground } from './shaderBackground.js';
+import { getPatternNames } from './shaderPatterns.js';
+import { toRGB } from './utils.js';
+
+// Options the overlay tunes, in display order
+// type is 'range' (with min, max and step), 'color', 'checkbox' or 'select' (choices lists the values)
+export const DEBUG_CONTROLS = [
+  { key: 'pattern', label: 'Pattern', type: 'select', choices: getPatternNames },
+  { key: 'hexScale', label: 'Scale', type: 'range', min: 4, max: 96, step: 1 },
+  { key: 'period', label: 'Period (s)', type: 'range', min: 2, max: 120, step: 1 },
+  { key: 'noiseRadius', label: 'Noise radius', type: 'range', min: 0, max: 20, step: 0.1 },
+  { key: 'noiseStrength', label: 'Noise strength', type: 'range', min: 0, max: 3, step: 0.01 },
+  { key: 'hexColor', label: 'Pattern color', type: 'color' },
+  { key: 'hexIntensity', label: 'Intensity', type: 'range', min: 0, max: 4, step: 0.05 },
+  { key: 'backgroundColor', label: 'Background', type: 'color' },
+  { key: 'pointerRadius', label: 'Pointer radius', type: 'range', min: 0, max: 0.5, step: 0.01 },
+  { key: 'pointerIntensity', label: 'Pointer intensity', type: 'range', min: 0, max: 3, step: 0.05 },
+  { key: 'scrollDrift', label: 'Scroll drift', type: 'range', min: -1, max: 1, step: 0.05 },
+  { key: 'scrollZoom', label: 'Scroll zoom', type: 'range', min: 0, max: 1, step: 0.05 },
+  { key: 'scrollDim', label: 'Scroll dim', type: 'range', min: 0, max: 1, step: 0.05 },
+  { key: 'adaptiveQuality', label: 'Adaptive quality', type: 'checkbox' },
+  { key: 'maxFrameRate', label: 'Max frame rate', type: 'range', min: 10, max: 120, step: 5 },
+  { key: 'maxRenderScale', label: 'Max render scale', type: 'range', min: 0.25, max: 1, step: 0.05 },
+  { key: 'maxSamples', label: 'Max samples', type: 'range', min: 1, max: ShaderBackground.MAX_SAMPLES, step: 1 }
+];
+
+// How often the performance figures refresh, in milliseconds
+const STATS_INTERVAL = 500;
+
+/**
+ * Add the overlay's stylesheet to the page, once
+ * Resolved against this module so it works from any page (e.g. tools/capture.html)
+ */
+function loadStyles() {
+  if (document.querySelector('link[data-debug-styles]')) return;
+  
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = new URL('../css/components/debug.css', import.meta.url).href;
+  link.dataset.debugStyles = '';
+  document.head.appendChild(link);
+}
+
+/**
+ * Convert a color option to a color input value
+ * 
+ * @param {string|number[]} color - Any color toRGB accepts
+ * @return {string} - #rrggbb
+ */
+function toHex(color) {
+  return '#' + toRGB(color)
+    .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export class DebugOverlay {
+  /**
+   * @param {ShaderBackground[]} instances - The mounted backgrounds; the first using WebGL is tuned
+   */
+  constructor(instances) {
+    this.instances = instances;
+    this.instance = instances.find(instance => instance.mode === 'webgl') || instances[0] || null;
+    this.inputs = new Map();
+    this.stats = new Map();
+    this.timer = null;
+    
+    this.handleInput = this.handleInput.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.updateStats = this.updateStats.bind(this);
+    
+    loadStyles();
+    this.render();
+    this.show();
+  }
+  
+  /**
+   * Build the overlay markup
+   */
+  render() {
+    const element = document.createElement('aside');
+    element.className = 'debug-overlay';
+    element.setAttribute('aria-label', 'Shader debug');
+    
+    const header = document.createElement('div');
+    header.className = 'debug-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Shader debug';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'debug-close';
+    close.dataset.debugAction = 'close';
+    close.setAttribute('aria-label', 'Close (Ctrl+Shift+D)');
+    close.textContent = '×';
+    header.append(title, close);
+    element.appendChild(header);
+    
+    if (!this.instance) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No shader background on this page.';
+      element.appendChild(empty);
+    } else {
+      if (this.instances.length > 1) {
+        element.appendChild(this.createField('Background', this.createInstanceSelect()));
+      }
+      
+      const stats = document.createElement('dl');
+      stats.className = 'debug-stats';
+      ['Mode', 'FPS', 'Frame time', 'Load', 'Level', 'Samples', 'Render scale', 'Resolution'].forEach(name => {
+        const term = document.createElement('dt');
+        term.textContent = name;
+        const value = document.createElement('dd');
+        value.textContent = '–';
+        stats.append(term, value);
+        this.stats.set(name, value);
+      });
+      element.appendChild(stats);
+      
+      const controls = document.createElement('div');
+      controls.className = 'debug-controls';
+      DEBUG_CONTROLS.forEach(control => {
+        controls.appendChild(this.createField(control.label, this.createInput(control), control.type === 'range'));
+      });
+      element.appendChild(controls);
+      
+      this.json = document.createElement('textarea');
+      this.json.className = 'debug-json';
+      this.json.readOnly = true;
+      this.json.rows = 8;
+      this.json.setAttribute('aria-label', 'Settings as JSON');
+      element.appendChild(this.json);
+      
+      const actions = document.createElement('div');
+      actions.className = 'debug-actions';
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'btn btn-secondary btn-sm';
+      copy.dataset.debugAction = 'copy';
+      copy.textContent = 'Copy JSON';
+      this.status = document.createElement('span');
+      this.status.className = 'debug-status';
+      this.status.setAttribute('role', 'status');
+      actions.append(copy, this.status);
+      element.appendChild(actions);
+    }
+    
+    element.addEventListener('input', this.handleInput);
+    element.addEventListener('change', this.handleInput);
+    element.addEventListener('click', this.handleClick);
+    
+    this.element = element;
+    document.body.appendChild(element);
+    this.syncInputs();
+  }
+  
+  /**
+   * Wrap an input in a labelled row
+   * 
+   * @param {string} label - Label text
+   * @param {HTMLElement} input - The input or select
+   * @param {boolean} showValue - Show the value next to the input (for sliders)
+   * @return {HTMLLabelElement} - The row
+   */
+  createField(label, input, showValue = false) {
+    const field = document.createElement('label');
+    field.className = 'debug-field';
+    
+    const text = document.createElement('span');
+    text.textContent = label;
+    field.append(text, input);
+    
+    if (showValue) {
+      const output = document.createElement('output');
+      input.output = output;
+      field.appendChild(output);
+    }
+    
+    return field;
+  }
+  
+  /**
+   * Create the input for a control
+   * 
+   * @param {Object} control - An entry of DEBUG_CONTROLS
+   * @return {HTMLElement} - The input or select
+   */
+  createInput(control) {
+    let input;
+    
+    if (control.type === 'select') {
+      input = document.createElement('select');
+      control.choices().forEach(choice => input.add(new Option(choice, choice)));
+    } else {
+      input = document.createElement('input');
+      input.type = control.type;
+      
+      if (control.type === 'range') {
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+      }
+    }
+    
+    input.dataset.debugOption = control.key;
+    this.inputs.set(control.key, { control, input });
+    return input;
+  }
+  
+  /**
+   * Create the select that picks which background to tune
+   * 
+   * @return {HTMLSelectElement} - The select
+   */
+  createInstanceSelect() {
+    const select = document.createElement('select');
+    select.dataset.debugInstance = '';
+    
+    this.instances.forEach((instance, index) => {
+      const host = instance.host;
+      const name = host.id ? `#${host.id}` : `${host.tagName.toLowerCase()}.${host.classList[0] || ''}`;
+      select.add(new Option(`${index + 1}: ${name}`, String(index), false, instance === this.instance));
+    });
+    
+    return select;
+  }
+  
+  /**
+   * Set every input from the tuned background's options
+   */
+  syncInputs() {
+    if (!this.instance) return;
+    
+    this.inputs.forEach(({ control, input }) => {
+      const value = this.instance.options[control.key];
+      
+      if (control.type === 'checkbox') {
+        input.checked = !!value;
+      } else if (control.type === 'color') {
+        input.value = toHex(value);
+      } else {
+        input.value = value;
+      }
+      
+      if (input.output) input.output.value = input.value;
+    });
+    
+    this.updateJSON();
+  }
+  
+  /**
+   * Read a control's value from its input
+   * 
+   * @param {Object} control - An entry of DEBUG_CONTROLS
+   * @param {HTMLElement} input - Its input
+   * @return {*} - The option value
+   */
+  readInput(control, input) {
+    if (control.type === 'checkbox') return input.checked;
+    if (control.type === 'range') return Number(input.value);
+    return input.value;
+  }
+  
+  /**
+   * Get the tuned options, ready to paste into the config
+   * 
+   * @return {Object} - Options by name; colors as #rrggbb
+   */
+  getSettings() {
+    const settings = {};
+    
+    DEBUG_CONTROLS.forEach(control => {
+      const value = this.instance.options[control.key];
+      settings[control.key] = control.type === 'color' ? toHex(value) : value;
+    });
+    
+    return settings;
+  }
+  
+  /**
+   * Refresh the JSON snippet
+   */
+  updateJSON() {
+    this.json.value = JSON.stringify(this.getSettings(), null, 2);
+  }
+  
+  /**
+   * Apply an input to the background, or switch backgrounds
+   * 
+   * @param {Event} event - The input or change event
+   */
+  handleInput(event) {
+    const target = event.target;
+    
+    if ('debugInstance' in target.dataset) {
+      if (event.type !== 'change') return;
+      this.instance = this.instances[Number(target.value)];
+      this.syncInputs();
+      this.updateStats();
+      return;
+    }
+    
+    const entry = this.inputs.get(target.dataset.debugOption);
+    if (!entry) return;
+    
+    const value = this.readInput(entry.control, target);
+    if (target.output) target.output.value = target.value;
+    
+    // Selects and checkboxes only fire change; sliders and pickers update as they move
+    if (this.instance.options[entry.control.key] !== value) {
+      this.instance.setOptions({ [entry.control.key]: value });
+      this.updateJSON();
+    }
+  }
+  
+  /**
+   * Handle the close and copy buttons
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const button = event.target.closest('[data-debug-action]');
+    if (!button) return;
+    
+    if (button.dataset.debugAction === 'close') {
+      this.hide();
+    } else if (button.dataset.debugAction === 'copy') {
+      this.copyJSON();
+    }
+  }
+  
+  /**
+   * Copy the JSON snippet to the clipboard
+   * Falls back to selecting it for a manual copy
+   * 
+   * @return {Promise<boolean>} - Resolves true if copied
+   */
+  copyJSON() {
+    const text = this.json.value;
+    const copied = navigator.clipboard && navigator.clipboard.writeText
+      ? navigator.clipboard.writeText(text).then(() => true, () => false)
+      : Promise.resolve(false);
+    
+    return copied.then(success => {
+      if (!success) this.json.select();
+      this.status.textContent = success ? 'Copied' : 'Press Ctrl+C to copy';
+      return success;
+    });
+  }
+  
+  /**
+   * Show the latest performance figures
+   */
+  updateStats() {
+    if (!this.instance) return;
+    
+    const instance = this.instance;
+    const quality = instance.getQuality();
+    const canvas = instance.renderer && instance.renderer.domElement;
+    const set = (name, value) => { this.stats.get(name).textContent = value; };
+    
+    set('Mode', instance.mode || '–');
+    set('FPS', quality.frameTime ? (1000 / quality.frameTime).toFixed(1) : '–');
+    set('Frame time', quality.frameTime ? `${quality.frameTime.toFixed(1)} ms` : '–');
+    set('Load', quality.frameTime ? quality.load.toFixed(2) : '–');
+    set('Level', `${quality.level + 1} of ${quality.levels}${quality.adaptive ? '' : ' (fixed)'}`);
+    set('Samples', `${quality.samples} × ${quality.samples}`);
+    set('Render scale', quality.pixelRatio ? `${quality.renderScale} (${quality.pixelRatio.toFixed(2)}x)` : String(quality.renderScale));
+    set('Resolution', canvas ? `${canvas.width} × ${canvas.height}` : '–');
+    
+    // Another tool or the theme may have changed an option
+    if (this.element.contains(document.activeElement)) return;
+    this.syncInputs();
+  }
+  
+  /**
+   * Show the overlay and start refreshing the figures
+   */
+  show() {
+    this.element.hidden = false;
+    this.syncInputs();
+    this.updateStats();
+    
+    if (this.timer === null && this.instance) {
+      this.timer = setInterval(this.updateStats, STATS_INTERVAL);
+    }
+  }
+  
+  /**
+   * Hide the overlay and stop refreshing the figures
+   */
+  hide() {
+    this.element.hidden = true;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Show or hide the overlay
+   */
+  toggle() {
+    if (this.element.hidden) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Remove the overlay
+   */
+  destroy() {
+    this.hide();
+    this.element.removeEventListener('input', this.handleInput);
+    this.element.removeEventListener('change', this.handleInput);
+    this.element.removeEventListener('click', this.handleClick);
+    this.element.remove();
+  }
+}
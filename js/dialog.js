@@ -0,0 +1,111 @@
+/**
+ * Modal dialog component
+ * Fades a .dialog element in and out, traps focus inside it, locks page scrolling
+ * and returns focus to whatever opened it. Elements with data-dialog-close close it
+ */
+
+import { createFocusTrap, lockBodyScroll, unlockBodyScroll } from './utils.js';
+import { fadeIn, fadeOut } from './animations.js';
+
+export class Dialog {
+  /**
+   * @param {HTMLElement} element - The .dialog element (role="dialog", initially hidden)
+   */
+  constructor(element) {
+    this.element = element;
+    this.panel = element.querySelector('.dialog-panel') || element;
+    this.isOpen = false;
+    this.returnFocusTo = null;
+    this.focusTrap = createFocusTrap(this.panel);
+    
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    
+    this.element.addEventListener('click', this.handleClick);
+  }
+  
+  /**
+   * Open the dialog
+   * 
+   * @return {Promise<boolean>} - Resolves when the fade in finishes
+   */
+  open() {
+    if (this.isOpen) return Promise.resolve(true);
+    this.isOpen = true;
+    
+    // Remember where focus was so it can go back there on close
+    this.returnFocusTo = document.activeElement;
+    
+    lockBodyScroll();
+    this.focusTrap.activate();
+    document.addEventListener('keydown', this.handleKeydown);
+    
+    const fade = fadeIn(this.element, { duration: 200, display: 'flex' });
+    
+    const initialFocus = this.element.querySelector('[data-autofocus]') || this.focusTrap.getFocusable()[0] || this.panel;
+    if (initialFocus === this.panel) this.panel.setAttribute('tabindex', '-1');
+    initialFocus.focus();
+    
+    this.element.dispatchEvent(new CustomEvent('dialog:open', { bubbles: true }));
+    return fade;
+  }
+  
+  /**
+   * Close the dialog
+   * 
+   * @return {Promise<boolean>} - Resolves when the fade out finishes
+   */
+  close() {
+    if (!this.isOpen) return Promise.resolve(true);
+    this.isOpen = false;
+    
+    unlockBodyScroll();
+    this.focusTrap.deactivate();
+    document.removeEventListener('keydown', this.handleKeydown);
+    
+    if (this.returnFocusTo && document.contains(this.returnFocusTo)) {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+    
+    this.element.dispatchEvent(new CustomEvent('dialog:close', { bubbles: true }));
+    
+    return fadeOut(this.element, { duration: 150 }).then(completed => {
+      if (completed) this.element.hidden = true;
+      return completed;
+    });
+  }
+  
+  /**
+   * Close the dialog and remove its event listeners
+   */
+  destroy() {
+    if (this.isOpen) {
+      this.close();
+    }
+    this.element.removeEventListener('click', this.handleClick);
+  }
+  
+  /**
+   * Close on Escape
+   * 
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+    }
+  }
+  
+  /**
+   * Close from the backdrop or any [data-dialog-close] control
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    if (event.target.closest('[data-dialog-close]')) {
+      this.close();
+    }
+  }
+}
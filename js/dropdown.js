@@ -0,0 +1,385 @@
+/**
+ * Dropdown menu component for the navigation bar
+ * Follows the WAI-ARIA menu button pattern: a button with aria-haspopup controls
+ * a role="menu" list. Opens on hover for mouse users, on click/tap otherwise,
+ * and is fully keyboard operable
+ */
+
+import { registerComponent } from './registry.js';
+import { NAV_MENUS } from './navMenus.js';
+import { i18n } from './i18n.js';
+
+export class DropdownMenu {
+  /**
+   * @param {HTMLElement} element - The .nav-dropdown item containing a .nav-dropdown-toggle button
+   * @param {Object} config - Menu configuration
+   * @param {Object[]} config.items - Menu items: { label, href, description, i18n }, where i18n
+   *   is an optional key prefix for translating the label and description
+   */
+  constructor(element, config) {
+    this.element = element;
+    this.toggle = element.querySelector('.nav-dropdown-toggle');
+    if (!this.toggle) {
+      console.error('Dropdown toggle not found in', element);
+      return;
+    }
+    
+    this.items = config.items || [];
+    this.isOpen = false;
+    this.openedByHover = false;
+    this.closeTimer = null;
+    
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+    this.handleToggleKeydown = this.handleToggleKeydown.bind(this);
+    this.handleMenuKeydown = this.handleMenuKeydown.bind(this);
+    this.handlePointerEnter = this.handlePointerEnter.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+    
+    this.render();
+    this.bindEvents();
+  }
+  
+  /**
+   * Build the menu markup and wire up the ARIA attributes
+   */
+  render() {
+    const id = this.element.dataset.menu || `dropdown-${DropdownMenu.count}`;
+    DropdownMenu.count++;
+    
+    this.toggle.id = this.toggle.id || `nav-${id}-toggle`;
+    this.toggle.setAttribute('aria-haspopup', 'true');
+    this.toggle.setAttribute('aria-expanded', 'false');
+    
+    this.menu = document.createElement('ul');
+    this.menu.className = 'dropdown-menu';
+    this.menu.id = `nav-${id}-menu`;
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-labelledby', this.toggle.id);
+    this.menu.hidden = true;
+    this.toggle.setAttribute('aria-controls', this.menu.id);
+    
+    this.items.forEach(item => {
+      const listItem = document.createElement('li');
+      listItem.setAttribute('role', 'none');
+      
+      const link = document.createElement('a');
+      link.className = 'dropdown-item';
+      link.href = item.href;
+      link.setAttribute('role', 'menuitem');
+      link.tabIndex = -1; // Focus is moved with the arrow keys, not Tab
+      
+      const label = document.createElement('span');
+      label.className = 'dropdown-item-label';
+      label.textContent = item.label;
+      if (item.i18n) label.dataset.i18n = `${item.i18n}.label`;
+      link.appendChild(label);
+      
+      if (item.description) {
+        const description = document.createElement('span');
+        description.className = 'dropdown-item-description';
+        description.textContent = item.description;
+        if (item.i18n) description.dataset.i18n = `${item.i18n}.description`;
+        link.appendChild(description);
+      }
+      
+      listItem.appendChild(link);
+      this.menu.appendChild(listItem);
+    });
+    
+    i18n.translate(this.menu);
+    this.element.appendChild(this.menu);
+    this.menuItems = Array.from(this.menu.querySelectorAll('[role="menuitem"]'));
+  }
+  
+  /**
+   * Add event listeners
+   */
+  bindEvents() {
+    this.toggle.addEventListener('click', this.handleToggleClick);
+    this.toggle.addEventListener('keydown', this.handleToggleKeydown);
+    this.menu.addEventListener('keydown', this.handleMenuKeydown);
+    this.element.addEventListener('pointerenter', this.handlePointerEnter);
+    this.element.addEventListener('pointerleave', this.handlePointerLeave);
+    this.element.addEventListener('focusout', this.handleFocusOut);
+    
+    // Close after an item is chosen
+    this.menuItems.forEach(item => {
+      item.addEventListener('click', () => this.close());
+    });
+  }
+  
+  /**
+   * Remove the menu and its event listeners
+   */
+  destroy() {
+    if (!this.menu) return;
+    this.close();
+    
+    this.toggle.removeEventListener('click', this.handleToggleClick);
+    this.toggle.removeEventListener('keydown', this.handleToggleKeydown);
+    this.element.removeEventListener('pointerenter', this.handlePointerEnter);
+    this.element.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.element.removeEventListener('focusout', this.handleFocusOut);
+    
+    this.toggle.removeAttribute('aria-haspopup');
+    this.toggle.removeAttribute('aria-expanded');
+    this.toggle.removeAttribute('aria-controls');
+    this.menu.remove();
+  }
+  
+  /**
+   * Whether the menu is rendered inside the open mobile drawer
+   * Hover doesn't apply there; the menu expands inline instead
+   * 
+   * @return {boolean} - Whether the dropdown is in the mobile drawer
+   */
+  isInDrawer() {
+    return !!this.element.closest('.nav-links.active');
+  }
+  
+  /**
+   * Open the menu
+   * 
+   * @param {string} focus - Item to focus: 'first', 'last' or none
+   */
+  open(focus) {
+    clearTimeout(this.closeTimer);
+    
+    // Only one dropdown is open at a time
+    if (DropdownMenu.openMenu && DropdownMenu.openMenu !== this) {
+      DropdownMenu.openMenu.close();
+    }
+    
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.menu.hidden = false;
+      this.toggle.setAttribute('aria-expanded', 'true');
+      this.element.classList.add('open');
+      DropdownMenu.openMenu = this;
+      document.addEventListener('click', this.handleDocumentClick);
+    }
+    
+    if (focus === 'first') {
+      this.focusItem(0);
+    } else if (focus === 'last') {
+      this.focusItem(this.menuItems.length - 1);
+    }
+  }
+  
+  /**
+   * Close the menu
+   * 
+   * @param {boolean} returnFocus - Move focus back to the toggle button
+   */
+  close(returnFocus = false) {
+    clearTimeout(this.closeTimer);
+    if (!this.isOpen) return;
+    
+    this.isOpen = false;
+    this.openedByHover = false;
+    this.menu.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.element.classList.remove('open');
+    document.removeEventListener('click', this.handleDocumentClick);
+    
+    if (DropdownMenu.openMenu === this) {
+      DropdownMenu.openMenu = null;
+    }
+    
+    if (returnFocus) {
+      this.toggle.focus();
+    }
+  }
+  
+  /**
+   * Focus a menu item, wrapping around at either end
+   * 
+   * @param {number} index - Index of the item to focus
+   */
+  focusItem(index) {
+    const count = this.menuItems.length;
+    if (!count) return;
+    
+    this.menuItems[(index + count) % count].focus();
+  }
+  
+  /**
+   * Toggle on click or tap
+   * A menu that was opened by hovering stays open when its toggle is clicked
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleToggleClick(event) {
+    if (this.isOpen && this.openedByHover) {
+      this.openedByHover = false;
+      return;
+    }
+    
+    if (this.isOpen) {
+      this.close();
+    } else {
+      // Enter and Space fire a click with no pointer details; move focus into the menu for them
+      this.open(event.detail === 0 ? 'first' : undefined);
+    }
+  }
+  
+  /**
+   * Keyboard support on the toggle button
+   * ArrowDown opens on the first item, ArrowUp on the last (Enter and Space arrive as clicks)
+   * 
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleToggleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.open('first');
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.open('last');
+        break;
+      case 'Escape':
+        if (this.isOpen) {
+          event.stopPropagation();
+          this.close();
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Keyboard support inside the menu
+   * 
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleMenuKeydown(event) {
+    const index = this.menuItems.indexOf(document.activeElement);
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.focusItem(index - 1);
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.focusItem(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        this.focusItem(this.menuItems.length - 1);
+        break;
+      case 'Escape':
+        // Don't let Escape also close the mobile drawer around the menu
+        event.preventDefault();
+        event.stopPropagation();
+        this.close(true);
+        break;
+      case 'Tab':
+        // Let focus move on to the next element in the page
+        this.close();
+        break;
+    }
+  }
+  
+  /**
+   * Open on hover for mouse users on desktop
+   * 
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerEnter(event) {
+    if (event.pointerType !== 'mouse' || this.isInDrawer()) return;
+    
+    clearTimeout(this.closeTimer);
+    if (!this.isOpen) {
+      this.open();
+      this.openedByHover = true;
+    }
+  }
+  
+  /**
+   * Close shortly after the mouse leaves, so moving diagonally to the menu doesn't close it
+   * 
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerLeave(event) {
+    if (event.pointerType !== 'mouse' || this.isInDrawer() || !this.openedByHover) return;
+    
+    clearTimeout(this.closeTimer);
+    this.closeTimer = setTimeout(() => this.close(), DropdownMenu.CLOSE_DELAY);
+  }
+  
+  /**
+   * Close when clicking or tapping anywhere outside the dropdown
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleDocumentClick(event) {
+    if (!this.element.contains(event.target)) {
+      this.close();
+    }
+  }
+  
+  /**
+   * Close when keyboard focus leaves the dropdown
+   * 
+   * @param {FocusEvent} event - The focusout event
+   */
+  handleFocusOut(event) {
+    if (event.relatedTarget && !this.element.contains(event.relatedTarget)) {
+      this.close();
+    }
+  }
+}
+
+// Milliseconds to wait before closing a hover-opened menu
+DropdownMenu.CLOSE_DELAY = 200;
+
+// The currently open menu, if any
+DropdownMenu.openMenu = null;
+
+// Used to generate ids for dropdowns without a data-menu key
+DropdownMenu.count = 0;
+
+/**
+ * Create the navigation dropdown menus
+ * Items come from NAV_MENUS (keyed by data-menu) or a JSON file named by data-menu-src
+ * 
+ * @return {Promise<DropdownMenu[]>} - Resolves once every menu has been created or has failed
+ */
+function initDropdowns() {
+  const dropdowns = Array.from(document.querySelectorAll('.nav-dropdown'));
+  
+  return Promise.all(dropdowns.map(element => {
+    const src = element.dataset.menuSrc;
+    
+    if (src) {
+      return fetch(src)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(config => new DropdownMenu(element, config))
+        .catch(error => console.error('Error loading dropdown menu:', src, error));
+    } else if (NAV_MENUS[element.dataset.menu]) {
+      return new DropdownMenu(element, NAV_MENUS[element.dataset.menu]);
+    } else {
+      console.warn('No menu configured for dropdown:', element.dataset.menu);
+    }
+  })).then(menus => menus.filter(Boolean));
+}
+
+registerComponent({
+  name: 'dropdowns',
+  deps: ['i18n'],
+  init: initDropdowns,
+  destroy(menus) {
+    menus.forEach(menu => menu.destroy());
+  }
+});
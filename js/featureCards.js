@@ -0,0 +1,65 @@
+/**
+ * Feature card data for the features grid
+ * Each card is rendered by js/features.js as #feature-<id>, with its icon taken from
+ * the sprite's #feature-icon-<icon> symbol. The text is English; i18n is the key
+ * prefix for translating the title, description and detail. whitepaper optionally
+ * names the white paper section the detail links to.
+ * A grid can also load its cards from JSON in the same shape with data-features-src
+ */
+
+export const FEATURE_CARDS = [
+  {
+    id: 'efficiency',
+    icon: 'efficiency',
+    i18n: 'features.cards.efficiency',
+    title: 'Efficiency & Transparency',
+    description: 'Streamlines asset creation and real-time investor tracking, providing real-time access to multiparty updates, changes, and corrections for enhanced transparency.',
+    detail: 'The aOS™ keeps a golden source of data for every asset. Updates, changes and corrections reach every party entitled to see them at the same moment, so there is nothing left to reconcile.',
+    whitepaper: 'efficiency-and-transparency'
+  },
+  {
+    id: 'security',
+    icon: 'security',
+    i18n: 'features.cards.security',
+    title: 'Accuracy & Security',
+    description: 'Smart contracts enforce and automate asset terms and trading behavior, ensuring accuracy through golden source of immutable data and end-to-end encryption.',
+    detail: 'The rules of an asset are executed by the platform itself rather than interpreted separately by each participant, and its data is protected with end-to-end encryption.',
+    whitepaper: 'accuracy-and-security'
+  },
+  {
+    id: 'liquidity',
+    icon: 'liquidity',
+    i18n: 'features.cards.liquidity',
+    title: 'Enhanced Liquidity',
+    description: 'Supports faster and lower-risk trading workflow, increasing capital velocity and potential liquidity.',
+    detail: 'With asset terms and trading behavior shared and automated, trades no longer wait on each counterparty to update and check its own records.',
+    whitepaper: 'enhanced-liquidity'
+  },
+  {
+    id: 'risk',
+    icon: 'risk',
+    i18n: 'features.cards.risk',
+    title: 'Risk Reduction',
+    description: 'Prevents tampering, compliance gaps, third-party dependencies, and counterparty failures, thereby reducing operational and regulatory risk.',
+    detail: 'Rather than each institution maintaining its own copy of the truth, participants share one platform, without the intermediaries that each add another point of failure.',
+    whitepaper: 'risk-reduction'
+  },
+  {
+    id: 'costs',
+    icon: 'costs',
+    i18n: 'features.cards.costs',
+    title: 'Cost Savings',
+    description: 'Significantly reduces legal, middle, and back-office operational overheads, automating workflows, removing intermediaries, and eliminating reconciliation.',
+    detail: 'Asset terms are no longer re-keyed into separate systems, and legal, middle and back-office teams spend less time keeping records in step and more on serving clients.',
+    whitepaper: 'cost-savings'
+  },
+  {
+    id: 'capital',
+    icon: 'capital',
+    i18n: 'features.cards.capital',
+    title: 'Capital Unlocking',
+    description: 'Enables real-time settlement, decreases working capital, creates new products, reaches new buyers, and improves execution while providing a privacy model with no central point of failure.',
+    detail: 'Settling in real time frees capital that would otherwise wait on reconciliation, and a common, programmable foundation makes new products quicker to bring to market.',
+    whitepaper: 'capital-unlocking'
+  }
+];
@@ -0,0 +1,338 @@
+/**
+ * Features grid
+ * Renders the feature cards from data (js/featureCards.js, or JSON named by
+ * data-features-src) with icons from a single SVG sprite. Each card can expand to
+ * show more detail, and #feature-<id> links open the card they point at
+ */
+
+import { registerComponent } from './registry.js';
+import { FEATURE_CARDS } from './featureCards.js';
+import { initScrollAnimations, slideDown, slideUp } from './animations.js';
+import { scrollToTarget, getHashTarget } from './smoothScroll.js';
+import { i18n } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Sprites already requested, by URL, so each is only added to the page once
+const sprites = new Map();
+
+/**
+ * Add an SVG sprite's symbols to the page
+ * The sprite is inlined rather than referenced by URL because <use> can only see the
+ * page's #icon-gradient when the symbols are in the same document
+ * 
+ * @param {string} src - Sprite URL
+ * @return {Promise<boolean>} - Resolves true once the symbols are in the page, false if loading failed
+ */
+export function loadIconSprite(src) {
+  if (sprites.has(src)) return sprites.get(src);
+  
+  const promise = fetch(src)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.text();
+    })
+    .then(text => {
+      const sprite = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+      if (sprite.nodeName !== 'svg') throw new Error('Not an SVG document');
+      
+      const container = document.createElementNS(SVG_NS, 'svg');
+      container.setAttribute('width', '0');
+      container.setAttribute('height', '0');
+      container.setAttribute('aria-hidden', 'true');
+      container.style.position = 'absolute';
+      container.dataset.sprite = src;
+      
+      Array.from(sprite.querySelectorAll('symbol')).forEach(symbol => {
+        container.appendChild(document.importNode(symbol, true));
+      });
+      
+      document.body.insertBefore(container, document.body.firstChild);
+      return true;
+    })
+    .catch(error => {
+      console.error('Error loading icon sprite:', src, error);
+      // Let a later grid try again
+      sprites.delete(src);
+      return false;
+    });
+  
+  sprites.set(src, promise);
+  return promise;
+}
+
+export class FeatureGrid {
+  /**
+   * @param {HTMLElement} element - The .features-grid container
+   * @param {Object[]} cards - Cards: { id, icon, title, description, detail, whitepaper, i18n },
+   *   where icon defaults to the id and i18n is an optional key prefix for the text
+   */
+  constructor(element, cards) {
+    this.element = element;
+    this.cards = cards;
+    this.expanded = new Set();
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    
+    this.render();
+    this.scrollAnimations = initScrollAnimations(element);
+    
+    if (element.dataset.iconSprite) {
+      loadIconSprite(element.dataset.iconSprite);
+    }
+    
+    element.addEventListener('click', this.handleClick);
+    window.addEventListener('hashchange', this.handleHashChange);
+    window.addEventListener('popstate', this.handleHashChange);
+    
+    // The cards didn't exist yet when the page first jumped to its hash
+    const card = this.getCardFromHash(location.hash);
+    if (card) {
+      this.expand(card.id, { animate: false });
+      requestAnimationFrame(() => scrollToTarget(this.getCardElement(card.id), 'auto', false));
+    }
+  }
+  
+  /**
+   * Build the card markup
+   */
+  render() {
+    this.element.innerHTML = '';
+    
+    this.cards.forEach(card => {
+      const id = `feature-${card.id}`;
+      
+      const article = document.createElement('article');
+      article.className = 'feature-card';
+      article.id = id;
+      article.dataset.animate = 'fade-up';
+      article.dataset.animateDelay = '100';
+      
+      const icon = document.createElement('div');
+      icon.className = 'feature-icon';
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('aria-hidden', 'true');
+      svg.setAttribute('focusable', 'false');
+      const use = document.createElementNS(SVG_NS, 'use');
+      use.setAttribute('href', `#feature-icon-${card.icon || card.id}`);
+      svg.appendChild(use);
+      icon.appendChild(svg);
+      article.appendChild(icon);
+      
+      const title = document.createElement('h3');
+      title.className = 'feature-title';
+      title.id = `${id}-title`;
+      title.textContent = card.title;
+      if (card.i18n) title.dataset.i18n = `${card.i18n}.title`;
+      article.appendChild(title);
+      
+      const description = document.createElement('p');
+      description.className = 'feature-description';
+      description.textContent = card.description;
+      if (card.i18n) description.dataset.i18n = `${card.i18n}.description`;
+      article.appendChild(description);
+      
+      if (card.detail) {
+        const detail = document.createElement('div');
+        detail.className = 'feature-detail';
+        detail.id = `${id}-detail`;
+        detail.hidden = true;
+        
+        const text = document.createElement('p');
+        text.textContent = card.detail;
+        if (card.i18n) text.dataset.i18n = `${card.i18n}.detail`;
+        detail.appendChild(text);
+        
+        if (card.whitepaper) {
+          const link = document.createElement('a');
+          link.className = 'feature-link';
+          link.href = `#whitepaper/${card.whitepaper}`;
+          link.dataset.i18n = 'features.whitepaperLink';
+          link.textContent = i18n.t('features.whitepaperLink');
+          detail.appendChild(link);
+        }
+        
+        article.appendChild(detail);
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'feature-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', detail.id);
+        toggle.setAttribute('aria-describedby', title.id);
+        article.appendChild(toggle);
+        this.updateToggle(toggle, false);
+      }
+      
+      this.element.appendChild(article);
+    });
+    
+    i18n.translate(this.element);
+  }
+  
+  /**
+   * Remove the cards and event listeners
+   */
+  destroy() {
+    this.element.removeEventListener('click', this.handleClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    window.removeEventListener('popstate', this.handleHashChange);
+    this.scrollAnimations.disconnect();
+    this.element.innerHTML = '';
+  }
+  
+  /**
+   * Find a card's element
+   * 
+   * @param {string} id - Card id
+   * @return {HTMLElement|null} - The .feature-card, if rendered
+   */
+  getCardElement(id) {
+    return this.element.querySelector(`#feature-${id}`);
+  }
+  
+  /**
+   * Find the card a hash points at
+   * 
+   * @param {string} hash - A location hash such as '#feature-risk'
+   * @return {Object|null} - The card, if it's in this grid
+   */
+  getCardFromHash(hash) {
+    const target = getHashTarget(hash);
+    if (!target || !this.element.contains(target)) return null;
+    
+    const element = target.closest('.feature-card');
+    if (!element) return null;
+    
+    return this.cards.find(card => `feature-${card.id}` === element.id) || null;
+  }
+  
+  /**
+   * Set a toggle's expanded state and label
+   * 
+   * @param {HTMLButtonElement} toggle - The .feature-toggle button
+   * @param {boolean} expanded - Whether its card is expanded
+   */
+  updateToggle(toggle, expanded) {
+    const key = expanded ? 'features.less' : 'features.more';
+    
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.dataset.i18n = key;
+    toggle.textContent = i18n.t(key);
+  }
+  
+  /**
+   * Show a card's detail
+   * 
+   * @param {string} id - Card id
+   * @param {Object} options - Options
+   * @param {boolean} options.animate - Slide the detail open rather than showing it at once
+   * @return {Promise<boolean>} - Resolves true once open, false if interrupted or the card has no detail
+   */
+  expand(id, { animate = true } = {}) {
+    const card = this.getCardElement(id);
+    const detail = card && card.querySelector('.feature-detail');
+    if (!detail) return Promise.resolve(false);
+    
+    this.expanded.add(id);
+    card.classList.add('expanded');
+    this.updateToggle(card.querySelector('.feature-toggle'), true);
+    
+    if (!animate) {
+      detail.hidden = false;
+      detail.style.display = '';
+      return Promise.resolve(true);
+    }
+    
+    return slideDown(detail, { duration: 300 });
+  }
+  
+  /**
+   * Hide a card's detail
+   * 
+   * @param {string} id - Card id
+   * @return {Promise<boolean>} - Resolves true once closed, false if interrupted or the card has no detail
+   */
+  collapse(id) {
+    const card = this.getCardElement(id);
+    const detail = card && card.querySelector('.feature-detail');
+    if (!detail) return Promise.resolve(false);
+    
+    this.expanded.delete(id);
+    card.classList.remove('expanded');
+    this.updateToggle(card.querySelector('.feature-toggle'), false);
+    
+    return slideUp(detail, { duration: 300 });
+  }
+  
+  /**
+   * Expand or collapse a card from its toggle, keeping the address bar pointing at
+   * the open card so it can be shared
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const toggle = event.target.closest('.feature-toggle');
+    if (!toggle) return;
+    
+    const id = toggle.closest('.feature-card').id.replace(/^feature-/, '');
+    
+    if (this.expanded.has(id)) {
+      this.collapse(id);
+      
+      if (location.hash === `#feature-${id}`) {
+        history.replaceState(history.state, '', location.pathname + location.search);
+      }
+    } else {
+      this.expand(id);
+      history.replaceState(history.state, '', `${location.pathname}${location.search}#feature-${id}`);
+    }
+  }
+  
+  /**
+   * Open the card a hash entered in the address bar, or reached with back/forward, points at
+   * Scrolling to it is left to the smooth scroll handlers
+   */
+  handleHashChange() {
+    const card = this.getCardFromHash(location.hash);
+    
+    if (card && !this.expanded.has(card.id)) {
+      this.expand(card.id);
+    }
+  }
+}
+
+/**
+ * Render every features grid from its data source
+ * 
+ * @return {Promise<FeatureGrid[]>} - The rendered grids
+ */
+function initFeatureGrids() {
+  const grids = Array.from(document.querySelectorAll('[data-features]'));
+  
+  return Promise.all(grids.map(element => {
+    const src = element.dataset.featuresSrc;
+    
+    if (src) {
+      return fetch(src)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(cards => new FeatureGrid(element, cards))
+        .catch(error => console.error('Error loading feature cards:', src, error));
+    }
+    
+    return new FeatureGrid(element, FEATURE_CARDS);
+  })).then(instances => instances.filter(Boolean));
+}
+
+registerComponent({
+  name: 'features',
+  deps: ['i18n'],
+  init: initFeatureGrids,
+  destroy(grids) {
+    grids.forEach(grid => grid.destroy());
+  }
+});
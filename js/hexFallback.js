@@ -0,0 +1,176 @@
+/**
+ * Fallback background for when WebGL is unavailable or its context is lost
+ * Draws a static version of the shader's hex grid with Canvas2D, or tiles the
+ * hexagon pattern image when Canvas2D is unavailable too
+ */
+
+import { toRGB } from './utils.js';
+
+export class HexCanvasFallback {
+  /**
+   * @param {HTMLElement} container - The shader background container to draw into
+   * @param {Object} options - ShaderBackground options (hexScale, noiseStrength, colors)
+   */
+  constructor(container, options) {
+    this.container = container;
+    this.options = options;
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+    
+    // Without Canvas2D, tile the static pattern image instead
+    this.mode = this.context ? 'canvas' : 'image';
+    
+    if (this.mode === 'canvas') {
+      this.canvas.className = 'shader-background-fallback';
+      this.canvas.style.position = 'absolute';
+      this.canvas.style.top = '0';
+      this.canvas.style.left = '0';
+      this.canvas.style.width = '100%';
+      this.canvas.style.height = '100%';
+      this.canvas.style.display = 'none';
+      this.container.appendChild(this.canvas);
+    }
+  }
+  
+  /**
+   * Show the fallback layer
+   */
+  show() {
+    if (this.mode === 'canvas') {
+      this.canvas.style.display = 'block';
+      this.render();
+    } else {
+      this.container.style.backgroundImage = `url('${HexCanvasFallback.PATTERN_IMAGE}')`;
+      this.container.style.backgroundSize = 'cover';
+      this.container.style.backgroundPosition = 'center';
+    }
+    
+    this.visible = true;
+  }
+  
+  /**
+   * Hide the fallback layer
+   */
+  hide() {
+    if (this.mode === 'canvas') {
+      this.canvas.style.display = 'none';
+    } else {
+      this.container.style.backgroundImage = '';
+    }
+    
+    this.visible = false;
+  }
+  
+  /**
+   * Redraw with new options
+   * 
+   * @param {Object} options - ShaderBackground options
+   */
+  setOptions(options) {
+    this.options = options;
+    if (this.visible) this.render();
+  }
+  
+  /**
+   * Redraw at the container's current size
+   */
+  resize() {
+    if (this.visible) this.render();
+  }
+  
+  /**
+   * Draw the hex grid
+   * Uses the same geometry as the shader: hex centers on the lattice from point(),
+   * flat-topped hexagons sized like inhex(), mixed over the background color
+   */
+  render() {
+    if (this.mode !== 'canvas') return;
+    
+    const width = this.container.offsetWidth;
+    const height = this.container.offsetHeight;
+    const pixelRatio = window.devicePixelRatio || 1;
+    if (!width || !height) return;
+    
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    
+    const ctx = this.context;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    
+    const background = toRGB(this.options.backgroundColor);
+    const hex = toRGB(this.options.hexColor).map(c => c * this.options.hexIntensity);
+    
+    // Same blend as the end of the fragment shader: mix(background, hex, hex.r)
+    const fill = background.map((c, i) => Math.min(1, c + (hex[i] - c) * hex[0]) * 255);
+    
+    ctx.fillStyle = `rgb(${background.map(c => Math.round(c * 255)).join(', ')})`;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = `rgb(${fill.map(Math.round).join(', ')})`;
+    
+    // Pixels per unit of hex space; the shader's uv spans the container height
+    // and is centered on the container
+    const unit = height / this.options.hexScale;
+    const columns = Math.ceil(width / 2 / (1.5 * unit)) + 1;
+    const rows = Math.ceil(height / 2 / (1.7321 * unit)) + 1;
+    
+    ctx.beginPath();
+    for (let column = -columns; column <= columns; column++) {
+      for (let row = -rows; row <= rows; row++) {
+        // Odd columns are offset by half a row, as on the shader's lattice
+        const x = column * 1.5;
+        const y = row * 1.7321 + (column % 2 ? 0.866 : 0);
+        
+        // Size follows the shader's 0.5 + noiseStrength * noise, with a cheap static noise
+        const size = 0.5 + this.options.noiseStrength * HexCanvasFallback.noise(x, y);
+        this.addHexagon(ctx, width / 2 + x * unit, height / 2 - y * unit, (size / 1.7321) * unit);
+      }
+    }
+    ctx.fill();
+  }
+  
+  /**
+   * Add a flat-topped hexagon to the current path
+   * 
+   * @param {CanvasRenderingContext2D} ctx - The drawing context
+   * @param {number} x - Center x in CSS pixels
+   * @param {number} y - Center y in CSS pixels
+   * @param {number} radius - Distance from the center to a corner
+   */
+  addHexagon(ctx, x, y, radius) {
+    for (let i = 0; i < 6; i++) {
+      const angle = i * Math.PI / 3;
+      const cornerX = x + radius * Math.cos(angle);
+      const cornerY = y + radius * Math.sin(angle);
+      
+      if (i === 0) {
+        ctx.moveTo(cornerX, cornerY);
+      } else {
+        ctx.lineTo(cornerX, cornerY);
+      }
+    }
+    ctx.closePath();
+  }
+  
+  /**
+   * Remove the fallback layer
+   */
+  destroy() {
+    this.hide();
+    this.canvas.remove();
+  }
+  
+  /**
+   * Smooth pseudo-noise in the 0-1 range, a stand-in for the shader's OpenSimplex2S noise
+   * 
+   * @param {number} x - Hex space x
+   * @param {number} y - Hex space y
+   * @return {number} - Noise value
+   */
+  static noise(x, y) {
+    const value = Math.sin(x * 0.21 + Math.sin(y * 0.17) * 1.8) * Math.cos(y * 0.13 - x * 0.07);
+    return value * 0.5 + 0.5;
+  }
+}
+
+// Tiled when Canvas2D is unavailable
+HexCanvasFallback.PATTERN_IMAGE = 'assets/images/hexagon-pattern.svg';
@@ -0,0 +1,291 @@
+/**
+ * Internationalization
+ * Loads locale bundles from locales/<locale>.json and applies them to the page
+ * through data attributes:
+ *   data-i18n="hero.cta"                  - sets the element's text
+ *   data-i18n-html="hero.title"           - sets the element's HTML (for rich text)
+ *   data-i18n-attr="alt:hero.logoAlt"     - sets attributes; separate pairs with commas
+ * Keys missing from a bundle fall back to the default locale, and markup keeps its
+ * original text when neither has them. Scripts use i18n.t() for their own strings
+ */
+
+import { registerComponent } from './registry.js';
+
+// Locale used when nothing else matches, and for keys another locale is missing
+export const DEFAULT_LOCALE = 'en';
+
+// Supported locales, with their native names for the switcher and text direction
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  fr: { name: 'Français', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' }
+};
+
+// localStorage key for the visitor's choice
+const LOCALE_STORAGE_KEY = 'platonic.locale';
+
+// Where locale bundles are loaded from
+const LOCALE_PATH = 'locales/';
+
+export const i18n = (function() {
+  // Loaded bundles by locale, and pending loads
+  const bundles = new Map();
+  const loading = new Map();
+  const listeners = new Set();
+  const reportedKeys = new Set();
+  let locale = DEFAULT_LOCALE;
+  
+  /**
+   * Load a locale bundle (cached)
+   * 
+   * @param {string} name - Locale
+   * @return {Promise<Object>} - The bundle
+   */
+  function loadBundle(name) {
+    if (bundles.has(name)) return Promise.resolve(bundles.get(name));
+    if (loading.has(name)) return loading.get(name);
+    
+    const promise = fetch(`${LOCALE_PATH}${name}.json`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(bundle => {
+        bundles.set(name, bundle);
+        loading.delete(name);
+        return bundle;
+      })
+      .catch(error => {
+        // Let a later call try again
+        loading.delete(name);
+        throw error;
+      });
+    
+    loading.set(name, promise);
+    return promise;
+  }
+  
+  /**
+   * Find a message by its dotted key in the active locale, then the default one
+   * 
+   * @param {string} key - e.g. 'contact.errors.name'
+   * @return {string|undefined} - The message, if either bundle has it
+   */
+  function lookup(key) {
+    const locales = locale === DEFAULT_LOCALE ? [locale] : [locale, DEFAULT_LOCALE];
+    
+    for (let i = 0; i < locales.length; i++) {
+      const value = key.split('.').reduce((node, part) => {
+        return node && typeof node === 'object' ? node[part] : undefined;
+      }, bundles.get(locales[i]));
+      
+      if (typeof value === 'string') return value;
+    }
+    
+    // Only worth reporting once there's a bundle to be missing from
+    if (bundles.size && !reportedKeys.has(key)) {
+      reportedKeys.add(key);
+      console.warn(`Missing translation for "${key}" (${locale})`);
+    }
+  }
+  
+  /**
+   * Translate a key
+   * 
+   * @param {string} key - Dotted message key
+   * @param {Object} params - Values for {name} placeholders in the message
+   * @return {string} - The message, or the key itself when no bundle has it
+   */
+  function t(key, params) {
+    const message = lookup(key);
+    if (message === undefined) return key;
+    if (!params) return message;
+    
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      return params[name] !== undefined ? params[name] : match;
+    });
+  }
+  
+  /**
+   * Apply translations to an element and its descendants
+   * Bundles are our own files, so data-i18n-html content is trusted
+   * 
+   * @param {ParentNode} root - Element or document to translate
+   */
+  function translate(root = document) {
+    const select = selector => {
+      const elements = Array.from(root.querySelectorAll(selector));
+      if (root.matches && root.matches(selector)) elements.unshift(root);
+      return elements;
+    };
+    
+    select('[data-i18n]').forEach(element => {
+      const message = lookup(element.dataset.i18n);
+      if (message !== undefined) element.textContent = message;
+    });
+    
+    select('[data-i18n-html]').forEach(element => {
+      const message = lookup(element.dataset.i18nHtml);
+      if (message !== undefined) element.innerHTML = message;
+    });
+    
+    select('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(',').forEach(binding => {
+        const [attribute, key] = binding.split(':').map(part => part.trim());
+        const message = key ? lookup(key) : undefined;
+        if (message !== undefined) element.setAttribute(attribute, message);
+      });
+    });
+  }
+  
+  /**
+   * Pick the saved locale, else the first supported browser language
+   * 
+   * @return {string} - A supported locale
+   */
+  function detectLocale() {
+    try {
+      const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+      if (LOCALES[saved]) return saved;
+    } catch (error) {
+      // Storage can be unavailable (e.g. blocked cookies)
+    }
+    
+    const languages = navigator.languages || [navigator.language || ''];
+    for (let i = 0; i < languages.length; i++) {
+      const language = String(languages[i]).toLowerCase().split('-')[0];
+      if (LOCALES[language]) return language;
+    }
+    
+    return DEFAULT_LOCALE;
+  }
+  
+  return {
+    t,
+    translate,
+    detectLocale,
+    
+    /**
+     * Get the active locale
+     * 
+     * @return {string} - Locale code
+     */
+    getLocale() {
+      return locale;
+    },
+    
+    /**
+     * Load a locale and apply it to the page
+     * 
+     * @param {string} name - Locale code (see LOCALES)
+     * @param {Object} options - Options
+     * @param {boolean} options.persist - Remember the choice for later visits
+     * @return {Promise<string>} - Resolves with the locale once applied
+     */
+    setLocale(name, { persist = true } = {}) {
+      if (!LOCALES[name]) {
+        return Promise.reject(new RangeError(`Unsupported locale: ${name}`));
+      }
+      
+      // The default bundle backs up keys other locales are missing
+      return Promise.all([loadBundle(DEFAULT_LOCALE), loadBundle(name)]).then(() => {
+        locale = name;
+        
+        if (persist) {
+          try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, name);
+          } catch (error) {
+            console.warn('Could not save the language:', error);
+          }
+        }
+        
+        document.documentElement.lang = name;
+        document.documentElement.dir = LOCALES[name].dir;
+        translate(document);
+        listeners.forEach(listener => listener(locale));
+        
+        return locale;
+      });
+    },
+    
+    /**
+     * Listen for locale changes
+     * The listener is called immediately with the current locale
+     * 
+     * @param {Function} listener - Called with the locale code
+     * @return {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(locale);
+      
+      return () => listeners.delete(listener);
+    }
+  };
+})();
+
+/**
+ * Wire up language switchers: <select> elements filled with the supported locales
+ * 
+ * @param {string} selector - Switcher selector
+ * @return {Object} - Controller with a destroy method
+ */
+function initLanguageSwitchers(selector = '[data-language-switcher]') {
+  const switchers = Array.from(document.querySelectorAll(selector));
+  
+  const handleChange = event => {
+    const select = event.target;
+    
+    i18n.setLocale(select.value).catch(error => {
+      console.error('Error changing language:', error);
+      select.value = i18n.getLocale();
+    });
+  };
+  
+  switchers.forEach(select => {
+    select.innerHTML = '';
+    
+    Object.keys(LOCALES).forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = LOCALES[code].name;
+      select.appendChild(option);
+    });
+    
+    select.addEventListener('change', handleChange);
+  });
+  
+  const unsubscribe = i18n.subscribe(current => {
+    switchers.forEach(select => {
+      select.value = current;
+    });
+  });
+  
+  return {
+    destroy() {
+      unsubscribe();
+      switchers.forEach(select => select.removeEventListener('change', handleChange));
+    }
+  };
+}
+
+// Apply the visitor's language before the components that use translations start.
+// If bundles can't be loaded the page keeps its built-in English
+registerComponent({
+  name: 'i18n',
+  init() {
+    const detected = i18n.detectLocale();
+    
+    return i18n.setLocale(detected, { persist: false })
+      .catch(error => {
+        console.error(`Error loading locale "${detected}":`, error);
+        
+        if (detected !== DEFAULT_LOCALE) {
+          return i18n.setLocale(DEFAULT_LOCALE, { persist: false });
+        }
+      })
+      .catch(error => console.error('Error loading the default locale:', error))
+      .then(() => initLanguageSwitchers());
+  }
+});
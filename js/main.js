@@ -1,41 +0,0 @@
-/**
- * Main JavaScript file for the website
- */
-
-// Wait for the DOM to be fully loaded
-document.addEventListener('DOMContentLoaded', function() {
-  // Initialize mobile menu functionality
-  initMobileMenu();
-});
-
-/**
- * Initialize mobile menu toggle functionality
- */
-function initMobileMenu() {
-  const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
-  const navLinks = document.querySelector('.nav-links');
-  
-  if (mobileMenuToggle && navLinks) {
-    mobileMenuToggle.addEventListener('click', function() {
-      navLinks.classList.toggle('active');
-    });
-  }
-}
-
-/**
- * Handle dropdown menus for navigation
- * This is a placeholder for future implementation
- */
-function handleDropdowns() {
-  // This will be implemented later when we add dropdown functionality
-  console.log('Dropdown functionality will be implemented in the future');
-}
-
-/**
- * Smooth scroll to sections when clicking on navigation links
- * This is a placeholder for future implementation
- */
-function initSmoothScroll() {
-  // This will be implemented later when we add more sections
-  console.log('Smooth scroll functionality will be implemented in the future');
-}
@@ -0,0 +1,136 @@
+/**
+ * Minimal Markdown renderer
+ * Covers what our long-form content uses: headings, paragraphs, lists, block quotes,
+ * rules, fenced code, emphasis, inline code and links. Raw HTML is escaped
+ */
+
+/**
+ * Escape text for use in HTML
+ * 
+ * @param {string} text - Text to escape
+ * @return {string} - Escaped text
+ */
+export function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline Markdown: code spans, links, bold and italics
+ * 
+ * @param {string} text - A line or paragraph of Markdown
+ * @return {string} - HTML
+ */
+function renderInlineMarkdown(text) {
+  const codeSpans = [];
+  
+  // Pull code spans out first so nothing inside them is formatted
+  let html = escapeHTML(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+  
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      // Only allow web, mail and in-page/relative links
+      const safe = /^(https?:|mailto:|#|\/|\.)/i.test(href) || !/^[a-z][a-z0-9+.-]*:/i.test(href);
+      return safe ? `<a href="${href}">${label}</a>` : label;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Render a Markdown document
+ * 
+ * @param {string} source - Markdown text
+ * @return {string} - HTML
+ */
+export function renderMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+  
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('');
+      blocks.push(`<${list.type}>${items}</${list.type}>`);
+      list = null;
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+    
+    // Fenced code block
+    if (/^```/.test(line)) {
+      flushParagraph();
+      flushList();
+      
+      const code = [];
+      while (++i < lines.length && !/^```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    
+    if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+      flushParagraph();
+      flushList();
+      const level = match[1].length;
+      blocks.push(`<h${level}>${renderInlineMarkdown(match[2])}</h${level}>`);
+    } else if (/^(\*\s*\*\s*\*|-\s*-\s*-|_\s*_\s*_)[\s*_-]*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      blocks.push('<hr>');
+    } else if ((match = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/))) {
+      flushParagraph();
+      const type = /\d/.test(match[1]) ? 'ol' : 'ul';
+      if (list && list.type !== type) flushList();
+      if (!list) list = { type, items: [] };
+      list.items.push(match[2]);
+    } else if ((match = line.match(/^>\s?(.*)$/))) {
+      flushParagraph();
+      flushList();
+      
+      const quote = [match[1]];
+      while (i + 1 < lines.length && /^>/.test(lines[i + 1])) {
+        quote.push(lines[++i].replace(/^>\s?/, ''));
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    } else if (list && /^\s+\S/.test(line)) {
+      // Continuation of the previous list item
+      list.items[list.items.length - 1] += ' ' + line.trim();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+  
+  flushParagraph();
+  flushList();
+  
+  return blocks.join('\n');
+}
@@ -0,0 +1,179 @@
+/**
+ * Mobile navigation drawer
+ * The .mobile-menu-toggle button opens .nav-links as a drawer below the navbar.
+ * While open, focus is trapped in the navbar and the page behind doesn't scroll
+ */
+
+import { registerComponent } from './registry.js';
+import { debounce, isMobileDevice, createFocusTrap, lockBodyScroll, unlockBodyScroll } from './utils.js';
+import { DropdownMenu } from './dropdown.js';
+import { i18n } from './i18n.js';
+
+export class MobileMenu {
+  /**
+   * @param {HTMLElement} toggle - The .mobile-menu-toggle button
+   * @param {HTMLElement} drawer - The .nav-links list shown as the drawer
+   */
+  constructor(toggle, drawer) {
+    this.toggle = toggle;
+    this.drawer = drawer;
+    this.isOpen = false;
+    
+    // Trap focus in the whole navbar so the toggle stays reachable to close the drawer
+    this.focusTrap = createFocusTrap(toggle.closest('.navbar') || drawer.parentElement);
+    
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    this.handleLinkClick = this.handleLinkClick.bind(this);
+    this.handleResize = debounce(this.handleResize.bind(this), 100);
+    this.updateLabel = this.updateLabel.bind(this);
+    
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.setAttribute('aria-controls', this.drawer.id);
+    
+    this.toggle.addEventListener('click', this.handleToggleClick);
+    this.drawer.addEventListener('click', this.handleLinkClick);
+    window.addEventListener('resize', this.handleResize);
+    
+    // Relabel the toggle when the language changes
+    this.unsubscribeLocale = i18n.subscribe(this.updateLabel);
+  }
+  
+  /**
+   * Label the toggle with what it will do
+   */
+  updateLabel() {
+    this.toggle.setAttribute('aria-label', i18n.t(this.isOpen ? 'nav.closeMenu' : 'nav.openMenu'));
+  }
+  
+  /**
+   * Open the drawer and move focus to its first item
+   */
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    
+    this.drawer.classList.add('active');
+    this.toggle.classList.add('active');
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.updateLabel();
+    
+    lockBodyScroll();
+    this.focusTrap.activate();
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('click', this.handleOutsideClick);
+    
+    const focusable = this.focusTrap.getFocusable().filter(element => this.drawer.contains(element));
+    if (focusable.length) {
+      focusable[0].focus();
+    }
+  }
+  
+  /**
+   * Close the drawer
+   * 
+   * @param {boolean} returnFocus - Move focus back to the toggle button
+   */
+  close(returnFocus = true) {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    
+    // Collapse any dropdown left open inside the drawer
+    if (DropdownMenu.openMenu) {
+      DropdownMenu.openMenu.close();
+    }
+    
+    this.drawer.classList.remove('active');
+    this.toggle.classList.remove('active');
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.updateLabel();
+    
+    unlockBodyScroll();
+    this.focusTrap.deactivate();
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('click', this.handleOutsideClick);
+    
+    if (returnFocus) {
+      this.toggle.focus();
+    }
+  }
+  
+  /**
+   * Close the drawer and remove event listeners
+   */
+  destroy() {
+    this.close(false);
+    
+    this.toggle.removeEventListener('click', this.handleToggleClick);
+    this.drawer.removeEventListener('click', this.handleLinkClick);
+    window.removeEventListener('resize', this.handleResize);
+    this.unsubscribeLocale();
+  }
+  
+  /**
+   * Toggle the drawer from the menu button
+   */
+  handleToggleClick() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+  
+  /**
+   * Close on Escape
+   * Open dropdowns handle Escape themselves first and stop it reaching here
+   * 
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+    }
+  }
+  
+  /**
+   * Close when clicking or tapping outside the navbar
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleOutsideClick(event) {
+    if (!this.drawer.contains(event.target) && !this.toggle.contains(event.target)) {
+      this.close(false);
+    }
+  }
+  
+  /**
+   * Close when a link in the drawer is selected
+   * Focus is left to whatever the link does (e.g. in-page navigation focuses its target)
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleLinkClick(event) {
+    if (this.isOpen && event.target.closest('a[href]')) {
+      this.close(false);
+    }
+  }
+  
+  /**
+   * Close once the viewport grows past the mobile breakpoint
+   */
+  handleResize() {
+    if (this.isOpen && !isMobileDevice()) {
+      this.close(false);
+    }
+  }
+}
+
+registerComponent({
+  name: 'mobile-menu',
+  deps: ['i18n'],
+  init() {
+    const toggle = document.querySelector('.mobile-menu-toggle');
+    const drawer = document.querySelector('.nav-links');
+    
+    return toggle && drawer ? new MobileMenu(toggle, drawer) : null;
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Motion preference service
+ * Tracks the prefers-reduced-motion media query and notifies listeners when it changes
+ */
+
+export const motionPreference = (function() {
+  const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  const listeners = new Set();
+  
+  /**
+   * Check whether the visitor prefers reduced motion
+   * 
+   * @return {boolean} - Whether reduced motion is requested
+   */
+  function isReduced() {
+    return !!(query && query.matches);
+  }
+  
+  /**
+   * Mirror the preference as a class so CSS can react to it as well as the media query
+   */
+  function updateRootClass() {
+    document.documentElement.classList.toggle('reduced-motion', isReduced());
+  }
+  
+  /**
+   * Notify every listener of the current preference
+   */
+  function handleChange() {
+    updateRootClass();
+    listeners.forEach(listener => listener(isReduced()));
+  }
+  
+  if (query) {
+    // Older Safari only supports addListener on MediaQueryList
+    if (query.addEventListener) {
+      query.addEventListener('change', handleChange);
+    } else if (query.addListener) {
+      query.addListener(handleChange);
+    }
+  }
+  
+  updateRootClass();
+  
+  return {
+    isReduced,
+    
+    /**
+     * Listen for changes to the preference
+     * The listener is called immediately with the current value
+     * 
+     * @param {Function} listener - Called with true when reduced motion is requested
+     * @return {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(isReduced());
+      
+      return () => listeners.delete(listener);
+    }
+  };
+})();
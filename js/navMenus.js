@@ -0,0 +1,54 @@
+/**
+ * Navigation dropdown menu configuration
+ * Keyed by the data-menu attribute on each .nav-dropdown item in the navbar
+ * A menu can also be loaded from JSON in the same shape with data-menu-src
+ * The label and description are the English text; i18n names their translation keys.
+ * Hrefs without a # are pages served by js/router.js
+ */
+
+export const NAV_MENUS = {
+  resources: {
+    items: [
+      {
+        label: 'All resources',
+        href: 'resources',
+        i18n: 'nav.menus.resources',
+        description: 'Papers and guides in one place'
+      },
+      {
+        label: 'White paper',
+        href: '#whitepaper',
+        i18n: 'nav.menus.whitepaper',
+        description: 'How the Asset Operating System™ works'
+      },
+      {
+        label: 'Market infrastructure',
+        href: '#features',
+        i18n: 'nav.menus.infrastructure',
+        description: 'What common market infrastructure delivers'
+      }
+    ]
+  },
+  about: {
+    items: [
+      {
+        label: 'About Platonic',
+        href: 'about',
+        i18n: 'nav.menus.about',
+        description: 'Who we are and how we work'
+      },
+      {
+        label: 'Our vision',
+        href: '#vision',
+        i18n: 'nav.menus.vision',
+        description: 'Digitized infrastructure for global finance'
+      },
+      {
+        label: 'Contact us',
+        href: '#contact',
+        i18n: 'nav.menus.contact',
+        description: 'Talk to the Platonic team'
+      }
+    ]
+  }
+};
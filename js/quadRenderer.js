@@ -0,0 +1,417 @@
+/**
+ * Full-screen quad renderer
+ * Draws one fragment shader over a whole canvas with plain WebGL (WebGL2 where
+ * available, WebGL1 otherwise). Shaders are GLSL ES 1.0, which both accept; the
+ * fragment shader gets its precision statement added, and the vertex shader
+ * receives the quad's corners as `attribute vec2 position` in clip space.
+ * 
+ * Uniforms are given as { name: { value } } like three.js materials, and every value
+ * is uploaded on each render, so changing one is just assigning to it. Values can be
+ * numbers, Vector3/Vector4, or arrays of either for uniform arrays
+ */
+
+/**
+ * Three component vector uniform value
+ */
+export class Vector3 {
+  /**
+   * @param {number} x - First component
+   * @param {number} y - Second component
+   * @param {number} z - Third component
+   */
+  constructor(x = 0, y = 0, z = 0) {
+    this.set(x, y, z);
+  }
+  
+  /**
+   * Set every component
+   * 
+   * @param {number} x - First component
+   * @param {number} y - Second component
+   * @param {number} z - Third component
+   * @return {Vector3} - This vector
+   */
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+  
+  /**
+   * Set the components from an array
+   * 
+   * @param {number[]} array - At least three numbers
+   * @return {Vector3} - This vector
+   */
+  fromArray(array) {
+    return this.set(array[0], array[1], array[2]);
+  }
+}
+
+/**
+ * Four component vector uniform value
+ */
+export class Vector4 {
+  /**
+   * @param {number} x - First component
+   * @param {number} y - Second component
+   * @param {number} z - Third component
+   * @param {number} w - Fourth component
+   */
+  constructor(x = 0, y = 0, z = 0, w = 0) {
+    this.set(x, y, z, w);
+  }
+  
+  /**
+   * Set every component
+   * 
+   * @param {number} x - First component
+   * @param {number} y - Second component
+   * @param {number} z - Third component
+   * @param {number} w - Fourth component
+   * @return {Vector4} - This vector
+   */
+  set(x, y, z, w) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+    return this;
+  }
+  
+  /**
+   * Set the components from an array
+   * 
+   * @param {number[]} array - At least four numbers
+   * @return {Vector4} - This vector
+   */
+  fromArray(array) {
+    return this.set(array[0], array[1], array[2], array[3]);
+  }
+}
+
+/**
+ * Error raised when a shader doesn't compile or the program doesn't link
+ * The message includes the driver's log and the source lines it points at
+ */
+export class ShaderCompileError extends Error {
+  /**
+   * @param {string} stage - 'vertex', 'fragment' or 'link'
+   * @param {string} log - The driver's info log
+   * @param {string} source - The shader source, if a shader failed
+   */
+  constructor(stage, log, source = '') {
+    super(`Could not ${stage === 'link' ? 'link the shader program' : `compile the ${stage} shader`}:\n${log.trim()}${ShaderCompileError.excerpt(log, source)}`);
+    this.name = 'ShaderCompileError';
+    this.stage = stage;
+    this.log = log;
+  }
+  
+  /**
+   * Quote the source lines an info log refers to, e.g. "ERROR: 0:42: ..."
+   * 
+   * @param {string} log - The driver's info log
+   * @param {string} source - The shader source
+   * @return {string} - Numbered source lines, or an empty string
+   */
+  static excerpt(log, source) {
+    const lines = source.split('\n');
+    const numbers = new Set();
+    
+    log.replace(/\d+:(\d+):/g, (match, line) => numbers.add(Number(line)));
+    
+    return Array.from(numbers)
+      .filter(number => number >= 1 && number <= lines.length)
+      .map(number => `\n${number}: ${lines[number - 1].trim()}`)
+      .join('');
+  }
+}
+
+// One triangle that covers the whole of clip space; cheaper than two making a quad
+const QUAD_VERTICES = new Float32Array([-1, -1, 3, -1, -1, 3]);
+
+// Components per element of each uniform type, by GL enum
+const UNIFORM_SIZES = {
+  0x1406: 1, // FLOAT
+  0x8B50: 2, // FLOAT_VEC2
+  0x8B51: 3, // FLOAT_VEC3
+  0x8B52: 4, // FLOAT_VEC4
+  0x1404: 1, // INT
+  0x8B56: 1 // BOOL
+};
+
+export class QuadRenderer {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.vertexShader - GLSL ES 1.0 vertex shader source
+   * @param {string} options.fragmentShader - GLSL ES 1.0 fragment shader source, without a precision statement
+   * @param {Object} options.uniforms - Uniforms by name: { value }
+   * @param {HTMLCanvasElement} options.canvas - Canvas to draw on (defaults to a new one)
+   * @param {boolean} options.preserveDrawingBuffer - Keep the last frame after it's been composited
+   * @throws {Error} - When WebGL isn't available
+   * @throws {ShaderCompileError} - When the shaders don't compile
+   */
+  constructor({ vertexShader, fragmentShader, uniforms = {}, canvas = document.createElement('canvas'), preserveDrawingBuffer = false }) {
+    this.domElement = canvas;
+    this.vertexShader = vertexShader;
+    this.uniforms = uniforms;
+    this.pixelRatio = 1;
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.clearColor = [0, 0, 0, 1];
+    
+    // The quad's only edges are the canvas edges, so multisampling would be wasted
+    const attributes = { alpha: false, antialias: false, depth: false, stencil: false, preserveDrawingBuffer };
+    this.gl = canvas.getContext('webgl2', attributes) ||
+      canvas.getContext('webgl', attributes) ||
+      canvas.getContext('experimental-webgl', attributes);
+    if (!this.gl) throw new Error('WebGL is not available');
+    
+    this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && this.gl instanceof WebGL2RenderingContext;
+    
+    this.program = this.createProgram(vertexShader, fragmentShader);
+    this.uniformSlots = this.getUniformSlots();
+    
+    const gl = this.gl;
+    this.positionLocation = gl.getAttribLocation(this.program, 'position');
+    this.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, QUAD_VERTICES, gl.STATIC_DRAW);
+  }
+  
+  /**
+   * Swap in a new fragment shader, keeping the vertex shader and uniforms
+   * The current one stays in use if the new one doesn't compile
+   * 
+   * @param {string} fragmentShader - GLSL ES 1.0 fragment shader source, without a precision statement
+   * @throws {ShaderCompileError} - When the shader doesn't compile
+   */
+  setFragmentShader(fragmentShader) {
+    const gl = this.gl;
+    const program = this.createProgram(this.vertexShader, fragmentShader);
+    
+    gl.deleteProgram(this.program);
+    this.program = program;
+    this.uniformSlots = this.getUniformSlots();
+    this.positionLocation = gl.getAttribLocation(program, 'position');
+  }
+  
+  /**
+   * Compile and link the shaders
+   * 
+   * @param {string} vertexSource - Vertex shader source
+   * @param {string} fragmentSource - Fragment shader source
+   * @return {WebGLProgram} - The linked program
+   */
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    
+    // Not every mobile GPU has highp in fragment shaders
+    const highp = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+    const precision = highp && highp.precision > 0 ? 'highp' : 'mediump';
+    
+    const vertexShader = this.compileShader(gl.VERTEX_SHADER, 'vertex', vertexSource);
+    const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, 'fragment', `precision ${precision} float;\n${fragmentSource}`);
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    
+    // The shaders aren't needed once the program is linked
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+      const log = gl.getProgramInfoLog(program) || '';
+      gl.deleteProgram(program);
+      throw new ShaderCompileError('link', log);
+    }
+    
+    return program;
+  }
+  
+  /**
+   * Compile one shader
+   * 
+   * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+   * @param {string} stage - 'vertex' or 'fragment', for error messages
+   * @param {string} source - Shader source
+   * @return {WebGLShader} - The compiled shader
+   */
+  compileShader(type, stage, source) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+      const log = gl.getShaderInfoLog(shader) || '';
+      gl.deleteShader(shader);
+      throw new ShaderCompileError(stage, log, source);
+    }
+    
+    return shader;
+  }
+  
+  /**
+   * Look up the program's active uniforms
+   * Uniforms the compiler optimized away are absent and are simply not uploaded
+   * 
+   * @return {Object[]} - Slots: { name, location, type, components, data }, where data is a reusable upload buffer
+   */
+  getUniformSlots() {
+    const gl = this.gl;
+    const count = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+    const slots = [];
+    
+    for (let i = 0; i < count; i++) {
+      const info = gl.getActiveUniform(this.program, i);
+      const components = UNIFORM_SIZES[info.type];
+      if (!components) {
+        console.warn('Unsupported uniform type for', info.name);
+        continue;
+      }
+      
+      slots.push({
+        name: info.name.replace(/\[0\]$/, ''),
+        location: gl.getUniformLocation(this.program, info.name),
+        type: info.type,
+        components,
+        data: new Float32Array(components * info.size)
+      });
+    }
+    
+    return slots;
+  }
+  
+  /**
+   * Get the WebGL context
+   * 
+   * @return {WebGLRenderingContext|WebGL2RenderingContext} - The context
+   */
+  getContext() {
+    return this.gl;
+  }
+  
+  /**
+   * Get the number of drawing buffer pixels per CSS pixel
+   * 
+   * @return {number} - The pixel ratio
+   */
+  getPixelRatio() {
+    return this.pixelRatio;
+  }
+  
+  /**
+   * Set the number of drawing buffer pixels per CSS pixel, keeping the CSS size
+   * 
+   * @param {number} pixelRatio - The pixel ratio
+   */
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+    this.setSize(this.width, this.height, false);
+  }
+  
+  /**
+   * Resize the drawing buffer
+   * 
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {boolean} updateStyle - Also set the canvas's CSS size
+   */
+  setSize(width, height, updateStyle = true) {
+    this.width = width;
+    this.height = height;
+    this.domElement.width = Math.max(1, Math.floor(width * this.pixelRatio));
+    this.domElement.height = Math.max(1, Math.floor(height * this.pixelRatio));
+    
+    if (updateStyle) {
+      this.domElement.style.width = `${width}px`;
+      this.domElement.style.height = `${height}px`;
+    }
+  }
+  
+  /**
+   * Set the color the canvas is cleared to before each frame
+   * 
+   * @param {number[]} color - [r, g, b] from 0 to 1
+   * @param {number} alpha - Opacity from 0 to 1
+   */
+  setClearColor(color, alpha = 1) {
+    this.clearColor = [color[0], color[1], color[2], alpha];
+  }
+  
+  /**
+   * Upload the uniforms and draw the quad
+   */
+  render() {
+    const gl = this.gl;
+    if (gl.isContextLost()) return;
+    
+    gl.viewport(0, 0, this.domElement.width, this.domElement.height);
+    gl.clearColor(...this.clearColor);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    
+    gl.useProgram(this.program);
+    this.uploadUniforms();
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.enableVertexAttribArray(this.positionLocation);
+    gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+  
+  /**
+   * Copy every uniform value into its slot and upload it
+   */
+  uploadUniforms() {
+    const gl = this.gl;
+    
+    this.uniformSlots.forEach(slot => {
+      const uniform = this.uniforms[slot.name];
+      if (!uniform) return;
+      
+      const data = slot.data;
+      const size = slot.components;
+      const values = Array.isArray(uniform.value) ? uniform.value : [uniform.value];
+      
+      values.forEach((value, index) => {
+        const offset = index * size;
+        if (offset >= data.length) return;
+        
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          data[offset] = Number(value);
+        } else {
+          data[offset] = value.x;
+          if (size > 1) data[offset + 1] = value.y;
+          if (size > 2) data[offset + 2] = value.z;
+          if (size > 3) data[offset + 3] = value.w;
+        }
+      });
+      
+      switch (slot.type) {
+        case gl.FLOAT: gl.uniform1fv(slot.location, data); break;
+        case gl.FLOAT_VEC2: gl.uniform2fv(slot.location, data); break;
+        case gl.FLOAT_VEC3: gl.uniform3fv(slot.location, data); break;
+        case gl.FLOAT_VEC4: gl.uniform4fv(slot.location, data); break;
+        default: gl.uniform1i(slot.location, data[0]);
+      }
+    });
+  }
+  
+  /**
+   * Free the program and buffer
+   * The canvas is left in place for the caller to remove
+   */
+  dispose() {
+    const gl = this.gl;
+    
+    gl.deleteBuffer(this.buffer);
+    gl.deleteProgram(this.program);
+    this.buffer = null;
+    this.program = null;
+    this.uniformSlots = [];
+  }
+}
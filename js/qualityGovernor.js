@@ -0,0 +1,224 @@
+/**
+ * Adaptive quality for the shader background
+ * Measures how far apart frames are actually drawn and steps through a ladder of
+ * quality levels (samples per pixel, then render resolution, then frame rate) to keep
+ * the animation smooth. Quality drops after a couple of slow measurements but only
+ * climbs back after a run of fast ones, and waits longer each time a step up turns
+ * out to be too much, so it settles instead of flapping
+ */
+
+export class QualityGovernor {
+  /**
+   * @param {Object} limits - Quality limits (ShaderBackground options)
+   * @param {boolean} limits.adaptiveQuality - Adjust to the measured frame times; otherwise stay at the best level
+   * @param {number} limits.minFrameRate - Lowest frame rate to render at
+   * @param {number} limits.maxFrameRate - Highest frame rate to render at
+   * @param {number} limits.minRenderScale - Lowest render resolution, as a fraction of the screen's
+   * @param {number} limits.maxRenderScale - Highest render resolution
+   * @param {number} limits.minSamples - Fewest samples per pixel along each axis
+   * @param {number} limits.maxSamples - Most samples per pixel along each axis
+   */
+  constructor(limits) {
+    this.adaptive = !!limits.adaptiveQuality;
+    this.levels = QualityGovernor.buildLevels(limits);
+    
+    // Adaptive rendering starts without antialiasing and earns it
+    this.index = this.adaptive ? this.levels.findIndex(level => level.samples === this.levels[this.levels.length - 1].samples) : 0;
+    
+    // Consecutive slow and fast measurements, and how many fast ones a step up needs
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.upgradeWindows = QualityGovernor.UPGRADE_WINDOWS;
+    this.windowsSinceUpgrade = Infinity;
+    
+    // Estimated display refresh interval in milliseconds, starting from 60Hz
+    this.refreshInterval = 1000 / 60;
+    
+    // Latest measurement, for debugging
+    this.stats = { frameTime: 0, load: 0 };
+    
+    this.reset();
+  }
+  
+  /**
+   * List the quality levels from best to worst
+   * Samples go first as they cost the most, then resolution, then frame rate
+   * 
+   * @param {Object} limits - See the constructor
+   * @return {Object[]} - Levels: { samples, renderScale, frameRate }
+   */
+  static buildLevels(limits) {
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const maxSamples = Math.max(1, Math.round(limits.maxSamples));
+    const minSamples = clamp(Math.round(limits.minSamples), 1, maxSamples);
+    const maxScale = Math.max(0.1, limits.maxRenderScale);
+    const minScale = clamp(limits.minRenderScale, 0.1, maxScale);
+    const maxFrameRate = Math.max(1, limits.maxFrameRate);
+    const minFrameRate = clamp(limits.minFrameRate, 1, maxFrameRate);
+    const levels = [];
+    
+    for (let samples = maxSamples; samples >= minSamples; samples--) {
+      levels.push({ samples, renderScale: maxScale, frameRate: maxFrameRate });
+    }
+    
+    for (let scale = maxScale - QualityGovernor.SCALE_STEP; scale > minScale - 0.001; scale -= QualityGovernor.SCALE_STEP) {
+      levels.push({ samples: minSamples, renderScale: scale, frameRate: maxFrameRate });
+    }
+    if (levels[levels.length - 1].renderScale > minScale) {
+      levels.push({ samples: minSamples, renderScale: minScale, frameRate: maxFrameRate });
+    }
+    
+    for (let rate = maxFrameRate * QualityGovernor.FRAME_RATE_STEP; rate > minFrameRate; rate *= QualityGovernor.FRAME_RATE_STEP) {
+      levels.push({ samples: minSamples, renderScale: minScale, frameRate: Math.round(rate) });
+    }
+    if (levels[levels.length - 1].frameRate > minFrameRate) {
+      levels.push({ samples: minSamples, renderScale: minScale, frameRate: minFrameRate });
+    }
+    
+    return levels;
+  }
+  
+  /**
+   * Get the current quality level
+   * 
+   * @return {Object} - { samples, renderScale, frameRate }
+   */
+  getLevel() {
+    return this.levels[this.index];
+  }
+  
+  /**
+   * Start a new measurement, e.g. after the loop was paused
+   */
+  reset() {
+    this.windowStart = null;
+    this.lastTick = null;
+    this.lastRender = null;
+    this.shortestTick = Infinity;
+    this.renderIntervals = [];
+  }
+  
+  /**
+   * Whether a frame is due at the current frame rate
+   * Frames are due half a refresh early so the display's timing jitter doesn't skip them
+   * 
+   * @param {number} now - Frame timestamp in milliseconds
+   * @return {boolean} - True to render on this tick
+   */
+  shouldRender(now) {
+    if (this.lastRender === null) return true;
+    
+    return now - this.lastRender >= 1000 / this.getLevel().frameRate - this.refreshInterval / 2;
+  }
+  
+  /**
+   * How far apart frames should be at a frame rate, given the display's refresh interval
+   * 
+   * @param {number} frameRate - Frames per second
+   * @return {number} - Milliseconds between rendered frames
+   */
+  getExpectedInterval(frameRate) {
+    const refresh = this.refreshInterval;
+    return Math.max(1, Math.ceil((1000 / frameRate - refresh / 2) / refresh)) * refresh;
+  }
+  
+  /**
+   * Record an animation frame and adjust the quality at the end of each measurement
+   * 
+   * @param {number} now - Frame timestamp in milliseconds
+   * @param {boolean} rendered - Whether a frame was drawn on this tick
+   * @return {boolean} - True if the quality level changed
+   */
+  record(now, rendered) {
+    if (this.windowStart === null) this.windowStart = now;
+    if (this.lastTick !== null) this.shortestTick = Math.min(this.shortestTick, now - this.lastTick);
+    this.lastTick = now;
+    
+    if (rendered) {
+      if (this.lastRender !== null) this.renderIntervals.push(now - this.lastRender);
+      this.lastRender = now;
+    }
+    
+    if (now - this.windowStart < QualityGovernor.WINDOW_DURATION || this.renderIntervals.length < QualityGovernor.MIN_WINDOW_FRAMES) {
+      return false;
+    }
+    
+    return this.evaluate();
+  }
+  
+  /**
+   * Compare the measured frame times with the expected ones and step the quality
+   * 
+   * @return {boolean} - True if the quality level changed
+   */
+  evaluate() {
+    // The shortest gap between ticks is the best guess at the refresh interval. It only
+    // goes down, since a struggling GPU stretches every tick and would hide itself
+    if (isFinite(this.shortestTick)) {
+      this.refreshInterval = Math.max(QualityGovernor.MIN_REFRESH_INTERVAL, Math.min(this.refreshInterval, this.shortestTick));
+    }
+    
+    const frameTime = this.renderIntervals.reduce((sum, interval) => sum + interval, 0) / this.renderIntervals.length;
+    const load = frameTime / this.getExpectedInterval(this.getLevel().frameRate);
+    this.stats = { frameTime, load };
+    
+    const lastRender = this.lastRender;
+    this.reset();
+    this.lastRender = lastRender;
+    this.windowsSinceUpgrade++;
+    
+    if (!this.adaptive) return false;
+    
+    if (load > QualityGovernor.DOWNGRADE_LOAD) {
+      this.slowWindows++;
+      this.fastWindows = 0;
+    } else if (load < QualityGovernor.UPGRADE_LOAD) {
+      this.fastWindows++;
+      this.slowWindows = 0;
+    } else {
+      this.slowWindows = 0;
+      this.fastWindows = 0;
+    }
+    
+    if (this.slowWindows >= QualityGovernor.DOWNGRADE_WINDOWS && this.index < this.levels.length - 1) {
+      // Stepping straight back down means the last step up was too much; be slower to try again
+      if (this.windowsSinceUpgrade <= QualityGovernor.DOWNGRADE_WINDOWS) {
+        this.upgradeWindows = Math.min(this.upgradeWindows * 2, QualityGovernor.MAX_UPGRADE_WINDOWS);
+      }
+      
+      this.index++;
+      this.slowWindows = 0;
+      return true;
+    }
+    
+    if (this.fastWindows >= this.upgradeWindows && this.index > 0) {
+      this.index--;
+      this.fastWindows = 0;
+      this.windowsSinceUpgrade = 0;
+      return true;
+    }
+    
+    return false;
+  }
+}
+
+// Length of one measurement in milliseconds, and the fewest frames it needs
+QualityGovernor.WINDOW_DURATION = 1000;
+QualityGovernor.MIN_WINDOW_FRAMES = 4;
+
+// Frame times as a multiple of the expected ones: above DOWNGRADE_LOAD is slow, below UPGRADE_LOAD is fast
+QualityGovernor.DOWNGRADE_LOAD = 1.2;
+QualityGovernor.UPGRADE_LOAD = 1.05;
+
+// Consecutive slow measurements before stepping down, and fast ones before stepping up
+// (doubled up to MAX_UPGRADE_WINDOWS whenever a step up is undone straight away)
+QualityGovernor.DOWNGRADE_WINDOWS = 2;
+QualityGovernor.UPGRADE_WINDOWS = 3;
+QualityGovernor.MAX_UPGRADE_WINDOWS = 48;
+
+// Render scale removed per level, and frame rate multiplier per level
+QualityGovernor.SCALE_STEP = 0.25;
+QualityGovernor.FRAME_RATE_STEP = 2 / 3;
+
+// Shortest refresh interval believed (240Hz), so a doubled-up tick can't skew the estimate
+QualityGovernor.MIN_REFRESH_INTERVAL = 1000 / 240;
@@ -0,0 +1,137 @@
+/**
+ * Component registry
+ * Features register an init hook (and optionally a destroy hook) with the names of
+ * the components they depend on. startComponents() starts everything in dependency
+ * order; a component that throws is logged and skipped, along with anything that
+ * depends on it, and the rest carry on
+ */
+
+// Registered components by name, in registration order
+const components = new Map();
+
+// Instances returned by init, by component name
+const instances = new Map();
+
+// Names of started components, in the order they started
+const startOrder = [];
+
+/**
+ * Register a component
+ * 
+ * @param {Object} component - The component definition
+ * @param {string} component.name - Unique name
+ * @param {string[]} component.deps - Names of components that must start first
+ * @param {Function} component.init - Starts the component; may return an instance or a Promise for one
+ * @param {Function} component.destroy - Stops the component; called with the instance. Defaults to instance.destroy()
+ */
+export function registerComponent({ name, deps = [], init, destroy }) {
+  if (!name || typeof init !== 'function') {
+    throw new TypeError('A component needs a name and an init function');
+  }
+  
+  if (components.has(name)) {
+    console.warn(`Component "${name}" is already registered; replacing it`);
+  }
+  
+  components.set(name, { name, deps, init, destroy });
+}
+
+/**
+ * Get the instance a started component's init returned
+ * 
+ * @param {string} name - Component name
+ * @return {*} - The instance, or undefined if it isn't running
+ */
+export function getComponent(name) {
+  return instances.get(name);
+}
+
+/**
+ * Start every registered component
+ * Components start as soon as their dependencies have, so a slow init (e.g. one
+ * waiting on a fetch) only holds up the components that depend on it
+ * 
+ * @return {Promise<Object>} - Resolves with { started, failed, skipped } lists of names
+ */
+export function startComponents() {
+  const report = { started: [], failed: [], skipped: [] };
+  const pending = new Map();
+  
+  /**
+   * Start a component after its dependencies
+   * 
+   * @param {string} name - Component name
+   * @param {string[]} path - Components waiting on this one, to detect cycles
+   * @return {Promise<boolean>} - Resolves true if the component is running
+   */
+  function start(name, path) {
+    if (pending.has(name)) return pending.get(name);
+    
+    const component = components.get(name);
+    let promise;
+    
+    if (!component) {
+      console.error(`Component "${path[path.length - 1]}" depends on unknown component "${name}"`);
+      promise = Promise.resolve(false);
+    } else if (path.indexOf(name) !== -1) {
+      console.error(`Circular component dependency: ${path.concat(name).join(' → ')}`);
+      promise = Promise.resolve(false);
+    } else if (instances.has(name)) {
+      promise = Promise.resolve(true);
+    } else {
+      promise = Promise.all(component.deps.map(dep => start(dep, path.concat(name))))
+        .then(results => {
+          const missing = component.deps.filter((dep, index) => !results[index]);
+          
+          if (missing.length) {
+            console.warn(`Skipping component "${name}" because ${missing.join(', ')} didn't start`);
+            report.skipped.push(name);
+            return false;
+          }
+          
+          return Promise.resolve()
+            .then(() => component.init())
+            .then(instance => {
+              instances.set(name, instance);
+              startOrder.push(name);
+              report.started.push(name);
+              return true;
+            })
+            .catch(error => {
+              console.error(`Error starting component "${name}":`, error);
+              report.failed.push(name);
+              return false;
+            });
+        });
+    }
+    
+    pending.set(name, promise);
+    return promise;
+  }
+  
+  return Promise.all(Array.from(components.keys(), name => start(name, [])))
+    .then(() => report);
+}
+
+/**
+ * Stop every running component, in the reverse of the order they started
+ * A destroy hook that throws is logged and the others still run
+ */
+export function destroyComponents() {
+  while (startOrder.length) {
+    const name = startOrder.pop();
+    const component = components.get(name);
+    const instance = instances.get(name);
+    instances.delete(name);
+    
+    try {
+      if (component.destroy) {
+        component.destroy(instance);
+      } else if (instance && typeof instance.destroy === 'function') {
+        instance.destroy();
+      }
+    } catch (error) {
+      console.error(`Error destroying component "${name}":`, error);
+    }
+  }
+}
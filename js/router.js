@@ -0,0 +1,399 @@
+/**
+ * Client-side router
+ * Serves the pages in js/routes.js from History API paths inside [data-router-view],
+ * fading between them. Pages are built once and kept while away, so going back needs
+ * no reload, and the shader background moves into each page's [data-shader-background]
+ * host rather than being rebuilt. The title and meta description follow the page, and
+ * paths that match no route get the not-found page.
+ * 
+ * Links to routes are plain same-site links (href="about"). Hash links are left to
+ * smooth scrolling and the dialogs, except that links to home page sections lead back
+ * to the home page from the others. A server has to answer every route path with
+ * index.html (tools/stub-server.js does), whose <base href> keeps its relative URLs
+ * pointing at the site root. Hash-only URLs resolve against it too, so history
+ * entries for hashes are given the current path.
+ * document gets a router:change event, with { path, route }, after each page is shown
+ */
+
+import { registerComponent, getComponent } from './registry.js';
+import { ROUTES, NOT_FOUND_ROUTE, ERROR_ROUTE } from './routes.js';
+import { i18n } from './i18n.js';
+import { fadeIn, fadeOut, initScrollAnimations } from './animations.js';
+import { getHashTarget, scrollToTarget, getScrollBehavior } from './smoothScroll.js';
+
+// Site root path (index.html's <base href>), so the site can be served from a subdirectory
+export const ROUTER_BASE = new URL('../', import.meta.url).pathname;
+
+// Fade durations in milliseconds
+const FADE_OUT_DURATION = 150;
+const FADE_IN_DURATION = 250;
+
+export class Router {
+  /**
+   * @param {HTMLElement} view - The [data-router-view] element; its markup is the home page
+   */
+  constructor(view) {
+    this.view = view;
+    
+    // Background to move between pages, found once the shader-background component has one in the view
+    this.background = null;
+    this.home = ROUTES['/'];
+    
+    // Pages built so far by route name: { nodes, scrollAnimations }
+    this.pages = new Map([[this.home.name, { nodes: Array.from(view.childNodes), scrollAnimations: null }]]);
+    this.fragments = new Map();
+    this.current = { path: '/', route: this.home };
+    this.navigationId = 0;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    
+    document.addEventListener('click', this.handleClick);
+    window.addEventListener('popstate', this.handlePopState);
+    
+    this.render(location, { initial: true });
+  }
+  
+  /**
+   * Remove the listeners and stop the pages' scroll animations
+   */
+  destroy() {
+    document.removeEventListener('click', this.handleClick);
+    window.removeEventListener('popstate', this.handlePopState);
+    this.navigationId++;
+    
+    this.pages.forEach(page => {
+      if (page.scrollAnimations) page.scrollAnimations.disconnect();
+    });
+  }
+  
+  /**
+   * Get a URL's path from the site root
+   * 
+   * @param {URL|Location|HTMLAnchorElement} url - Anything with a pathname
+   * @return {string} - e.g. '/about'; '/' for the home page
+   */
+  getPath(url) {
+    let path = url.pathname;
+    
+    if (path.indexOf(ROUTER_BASE) === 0) {
+      path = '/' + path.slice(ROUTER_BASE.length);
+    }
+    
+    path = path.replace(/\/index\.html$/, '/');
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+  }
+  
+  /**
+   * Find the route for a path
+   * 
+   * @param {string} path - Path from the site root
+   * @return {Object} - The route, or NOT_FOUND_ROUTE
+   */
+  resolve(path) {
+    return Object.prototype.hasOwnProperty.call(ROUTES, path) ? ROUTES[path] : NOT_FOUND_ROUTE;
+  }
+  
+  /**
+   * Go to a page, adding a history entry
+   * 
+   * @param {string} href - URL of the page, relative to the current one
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Replace the current history entry instead
+   * @return {Promise<Object|null>} - Resolves with the route shown, or null if another navigation took over
+   */
+  navigate(href, { replace = false } = {}) {
+    const url = new URL(href, location.href);
+    
+    if (replace) {
+      history.replaceState(null, '', url.href);
+    } else {
+      // Remember where the visitor was, for coming back
+      history.replaceState(Object.assign({}, history.state, { scroll: window.pageYOffset }), '');
+      history.pushState(null, '', url.href);
+    }
+    
+    return this.render(url);
+  }
+  
+  /**
+   * Show the page for a URL
+   * 
+   * @param {URL|Location} url - The page's URL
+   * @param {Object} options - Options
+   * @param {boolean} options.initial - First render: show the page without fading or scrolling
+   * @param {number} options.scroll - Scroll position to restore (back and forward)
+   * @return {Promise<Object|null>} - Resolves with the route shown, or null if another navigation took over
+   */
+  render(url, { initial = false, scroll } = {}) {
+    const id = ++this.navigationId;
+    const path = this.getPath(url);
+    const route = this.resolve(path);
+    const hash = url.hash;
+    
+    const leaving = initial || route === this.current.route
+      ? Promise.resolve()
+      : fadeOut(this.view, { duration: FADE_OUT_DURATION });
+    
+    const loading = this.loadPage(route)
+      .then(page => ({ route, page }))
+      .catch(error => {
+        console.error(`Error loading the ${route.name} page:`, error);
+        return this.loadPage(ERROR_ROUTE).then(page => ({ route: ERROR_ROUTE, page }));
+      });
+    
+    return Promise.all([loading, leaving]).then(([{ route: shown, page }]) => {
+      if (id !== this.navigationId) return null;
+      
+      this.showPage(shown, page);
+      this.current = { path, route: shown };
+      this.updateHead(shown);
+      this.updateNav(path);
+      document.documentElement.classList.remove('route-pending');
+      
+      // Even on the same page, as a navigation this one took over may have started fading out.
+      // Fading in shows the view again first, so there's a page to scroll and focus
+      const entering = initial
+        ? Promise.resolve()
+        : fadeIn(this.view, { duration: FADE_IN_DURATION, display: '' });
+      
+      if (!initial) {
+        this.restoreScroll(hash, scroll);
+        this.focusPage();
+      }
+      
+      document.dispatchEvent(new CustomEvent('router:change', {
+        detail: { path, route: shown.name }
+      }));
+      
+      return entering.then(() => shown);
+    });
+  }
+  
+  /**
+   * Get a page's nodes, building them the first time
+   * 
+   * @param {Object} route - The route
+   * @return {Promise<Object>} - The page: { nodes, scrollAnimations }
+   */
+  loadPage(route) {
+    if (this.pages.has(route.name)) return Promise.resolve(this.pages.get(route.name));
+    
+    const markup = route.template
+      ? Promise.resolve(document.getElementById(route.template).content.cloneNode(true))
+      : this.loadFragment(route.src);
+    
+    // Quick successive visits can load a page twice; the first one built is kept
+    return markup.then(fragment => {
+      if (!this.pages.has(route.name)) {
+        this.pages.set(route.name, { nodes: Array.from(fragment.childNodes), scrollAnimations: null });
+      }
+      return this.pages.get(route.name);
+    });
+  }
+  
+  /**
+   * Fetch a page fragment (cached)
+   * Fragments are our own files, so their markup is trusted
+   * 
+   * @param {string} src - Fragment URL, relative to the site root
+   * @return {Promise<DocumentFragment>} - The parsed markup
+   */
+  loadFragment(src) {
+    if (!this.fragments.has(src)) {
+      const request = fetch(ROUTER_BASE + src)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .catch(error => {
+          // Let a later visit try again
+          this.fragments.delete(src);
+          throw error;
+        });
+      
+      this.fragments.set(src, request);
+    }
+    
+    return this.fragments.get(src).then(html => {
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      return template.content;
+    });
+  }
+  
+  /**
+   * Swap the page in the view, keeping the one being left for later
+   * 
+   * @param {Object} route - The route being shown
+   * @param {Object} page - Its page: { nodes, scrollAnimations }
+   */
+  showPage(route, page) {
+    const background = this.getBackground();
+    const previous = this.pages.get(this.current.route.name);
+    
+    if (previous !== page) {
+      if (previous) previous.nodes.forEach(node => node.remove());
+      page.nodes.forEach(node => this.view.appendChild(node));
+    }
+    
+    // Detached pages miss language changes, so translate on the way in
+    i18n.translate(this.view);
+    
+    if (!page.scrollAnimations && route !== this.home) {
+      page.scrollAnimations = initScrollAnimations(this.view);
+    }
+    
+    const host = this.view.querySelector('[data-shader-background]');
+    if (background && host) background.moveTo(host);
+    
+    document.body.dataset.route = route.name;
+  }
+  
+  /**
+   * Find the background in the view, if the shader-background component is running
+   * 
+   * @return {ShaderBackground|null} - The background
+   */
+  getBackground() {
+    if (!this.background) {
+      const backgrounds = getComponent('shader-background') || [];
+      this.background = backgrounds.find(background => this.view.contains(background.host)) || null;
+    }
+    
+    return this.background;
+  }
+  
+  /**
+   * Point the title and meta description at the route's text
+   * The English text goes in first, in case the active bundle doesn't have it
+   * 
+   * @param {Object} route - The route being shown
+   */
+  updateHead(route) {
+    const title = document.querySelector('title');
+    const description = document.querySelector('meta[name="description"]');
+    
+    if (title) {
+      title.textContent = route.title;
+      title.dataset.i18n = `${route.i18n}.title`;
+    }
+    
+    if (description) {
+      description.setAttribute('content', route.description);
+      description.dataset.i18nAttr = `content:${route.i18n}.description`;
+    }
+    
+    i18n.translate(document.head);
+  }
+  
+  /**
+   * Mark the nav links to the current page
+   * 
+   * @param {string} path - Path of the page shown
+   */
+  updateNav(path) {
+    document.querySelectorAll('.nav-links a[href]:not([href^="#"])').forEach(link => {
+      const current = link.origin === location.origin && this.getPath(link) === path;
+      const item = link.closest('.nav-item');
+      
+      if (current) {
+        link.setAttribute('aria-current', 'page');
+      } else if (link.getAttribute('aria-current') === 'page') {
+        link.removeAttribute('aria-current');
+      }
+      
+      if (item && !link.closest('.dropdown-menu')) item.classList.toggle('is-current', current);
+    });
+  }
+  
+  /**
+   * Scroll a newly shown page: to the hash target, back to where it was left, or to the top
+   * 
+   * @param {string} hash - The URL's hash
+   * @param {number} scroll - Saved scroll position, when going back or forward
+   */
+  restoreScroll(hash, scroll) {
+    const target = getHashTarget(hash);
+    
+    if (typeof scroll === 'number') {
+      window.scrollTo(0, scroll);
+    } else if (target) {
+      scrollToTarget(target, 'auto');
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+  
+  /**
+   * Move focus to the new page's heading, so keyboard and screen reader users start there
+   */
+  focusPage() {
+    const heading = this.view.querySelector('h1');
+    if (!heading || heading.contains(document.activeElement)) return;
+    
+    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+  }
+  
+  /**
+   * Follow links to routes without reloading
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    const link = event.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+    if (link.origin !== location.origin || link.pathname.indexOf(ROUTER_BASE) !== 0) return;
+    
+    if (link.getAttribute('href').charAt(0) === '#') {
+      // Sections of the home page, from another page
+      if (!link.hash || this.current.route === this.home || getHashTarget(link.hash)) return;
+      
+      event.preventDefault();
+      this.navigate(ROUTER_BASE + link.hash);
+      return;
+    }
+    
+    // Files such as the white paper PDF
+    const path = this.getPath(link);
+    if (/\.\w+$/.test(path)) return;
+    
+    if (path === this.current.path) {
+      // Same-page hash links are smooth scrolling's; a link to the page itself goes to the top
+      if (link.hash) return;
+      
+      event.preventDefault();
+      window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+      return;
+    }
+    
+    event.preventDefault();
+    this.navigate(link.href);
+  }
+  
+  /**
+   * Show the page for a history entry when going back or forward
+   * Entries on the same page (hash links) are smooth scrolling's
+   * 
+   * @param {PopStateEvent} event - The popstate event
+   */
+  handlePopState(event) {
+    if (this.getPath(location) === this.current.path) return;
+    
+    const scroll = event.state && typeof event.state.scroll === 'number' ? event.state.scroll : undefined;
+    this.render(location, { scroll });
+  }
+}
+
+// Starts after the menus, so there are links to mark. The background is optional
+registerComponent({
+  name: 'router',
+  deps: ['dropdowns'],
+  init() {
+    const view = document.querySelector('[data-router-view]');
+    return view ? new Router(view) : null;
+  }
+});
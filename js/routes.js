@@ -0,0 +1,56 @@
+/**
+ * Client-side routes (see js/router.js)
+ * Keyed by path from the site root. A page is the home page markup already in
+ * index.html (inline), an HTML fragment fetched from src, or a <template> in
+ * index.html. The title and description are the English text; i18n names the key
+ * prefix for their translations (<i18n>.title and <i18n>.description)
+ */
+
+export const ROUTES = {
+  '/': {
+    name: 'home',
+    inline: true,
+    title: 'Blockchain Asset Operating System',
+    description: 'The Asset Operating System™ (aOS™) is the connective tissue of finance.',
+    i18n: 'meta'
+  },
+  '/solutions': {
+    name: 'solutions',
+    src: 'content/pages/solutions.html',
+    title: 'Solutions | Platonic',
+    description: 'How the Asset Operating System™ serves issuers, market infrastructures and institutions.',
+    i18n: 'pages.solutions.meta'
+  },
+  '/about': {
+    name: 'about',
+    src: 'content/pages/about.html',
+    title: 'About | Platonic',
+    description: 'Who we are and why we are building common market infrastructure for global finance.',
+    i18n: 'pages.about.meta'
+  },
+  '/resources': {
+    name: 'resources',
+    src: 'content/pages/resources.html',
+    title: 'Resources | Platonic',
+    description: 'The white paper and other material on the Asset Operating System™.',
+    i18n: 'pages.resources.meta'
+  }
+};
+
+// Shown for paths that match no route
+export const NOT_FOUND_ROUTE = {
+  name: 'not-found',
+  template: 'page-not-found',
+  title: 'Page not found | Platonic',
+  description: 'The page you were looking for could not be found.',
+  i18n: 'pages.notFound.meta'
+};
+
+// Shown when a page's fragment can't be loaded
+export const ERROR_ROUTE = {
+  name: 'error',
+  template: 'page-error',
+  title: 'Page unavailable | Platonic',
+  description: 'The page could not be loaded.',
+  i18n: 'pages.error.meta'
+};
@@ -0,0 +1,154 @@
+/**
+ * Scroll-linked effects
+ * One throttled, passive scroll pipeline that tells each shader background how far the
+ * page has scrolled past it (see the scroll* options in js/shaderBackground.js) and moves
+ * [data-parallax] elements at their own speed. Layout is read for everything first and
+ * written after, once per frame at most. Both effects rest while reduced motion is requested
+ * 
+ * Attributes:
+ *   data-parallax="0.15"   Fraction of the scroll distance the element lags behind the page
+ *                          (negative values move it ahead, so it seems closer)
+ */
+
+import { registerComponent, getComponent } from './registry.js';
+import { motionPreference } from './motionPreference.js';
+import { throttle } from './utils.js';
+
+// Custom property the offset is written to; css/components/animations.css applies it as
+// translate, which combines with the transforms the reveal animations use
+const PARALLAX_PROPERTY = '--parallax-y';
+
+export class ScrollEffects {
+  /**
+   * @param {ShaderBackground[]} backgrounds - Backgrounds to feed the scroll progress to
+   */
+  constructor(backgrounds) {
+    this.backgrounds = backgrounds;
+    this.parallax = [];
+    this.reduced = false;
+    
+    this.update = throttle(this.update.bind(this));
+    this.handleMotionPreference = this.handleMotionPreference.bind(this);
+    this.handleRouteChange = this.handleRouteChange.bind(this);
+    
+    window.addEventListener('scroll', this.update, { passive: true });
+    window.addEventListener('resize', this.update, { passive: true });
+    document.addEventListener('router:change', this.handleRouteChange);
+    
+    this.refresh();
+    this.unsubscribeMotion = motionPreference.subscribe(this.handleMotionPreference);
+  }
+  
+  /**
+   * Find the [data-parallax] elements again, e.g. after js/router.js swapped the page
+   * 
+   * @param {HTMLElement|Document} root - Where to look
+   */
+  refresh(root = document) {
+    this.parallax.forEach(item => item.element.style.removeProperty(PARALLAX_PROPERTY));
+    
+    this.parallax = Array.from(root.querySelectorAll('[data-parallax]'), element => ({
+      element,
+      speed: parseFloat(element.dataset.parallax) || 0,
+      offset: 0
+    }));
+    
+    this.update();
+  }
+  
+  /**
+   * Measure and apply every effect for the current scroll position
+   */
+  update() {
+    if (this.reduced) return;
+    
+    const viewportHeight = window.innerHeight;
+    
+    // Read: offsets come from each element's untranslated position, so they don't feed back
+    const progress = this.backgrounds.map(background => ScrollEffects.getScrollProgress(background.host));
+    const offsets = this.parallax.map(item => {
+      const rect = item.element.getBoundingClientRect();
+      const center = rect.top - item.offset + rect.height / 2;
+      return Math.round((viewportHeight / 2 - center) * item.speed * 10) / 10;
+    });
+    
+    // Write
+    this.backgrounds.forEach((background, index) => {
+      if (background.scrollProgress !== progress[index]) background.setScrollProgress(progress[index]);
+    });
+    this.parallax.forEach((item, index) => {
+      if (item.offset === offsets[index]) return;
+      
+      item.offset = offsets[index];
+      item.element.style.setProperty(PARALLAX_PROPERTY, `${item.offset}px`);
+    });
+  }
+  
+  /**
+   * Put everything back in place
+   */
+  reset() {
+    this.backgrounds.forEach(background => background.setScrollProgress(0));
+    this.parallax.forEach(item => {
+      item.offset = 0;
+      item.element.style.removeProperty(PARALLAX_PROPERTY);
+    });
+  }
+  
+  /**
+   * Pick up the parallax elements of the page just shown
+   */
+  handleRouteChange() {
+    this.refresh();
+  }
+  
+  /**
+   * Hold everything still while reduced motion is requested
+   * 
+   * @param {boolean} reduced - Whether reduced motion is requested
+   */
+  handleMotionPreference(reduced) {
+    this.reduced = reduced;
+    
+    if (reduced) {
+      this.update.cancel();
+      this.reset();
+    } else {
+      this.update();
+    }
+  }
+  
+  /**
+   * Remove the listeners and the offsets
+   */
+  destroy() {
+    window.removeEventListener('scroll', this.update);
+    window.removeEventListener('resize', this.update);
+    document.removeEventListener('router:change', this.handleRouteChange);
+    this.update.cancel();
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
+    this.reset();
+  }
+  
+  /**
+   * How far the page has scrolled past an element
+   * 
+   * @param {HTMLElement} element - The element
+   * @return {number} - 0 while its top is at or below the top of the viewport, 1 once it has scrolled out of view
+   */
+  static getScrollProgress(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.height <= 0) return 0;
+    
+    return Math.min(Math.max(-rect.top / rect.height, 0), 1);
+  }
+}
+
+// Starts after the backgrounds so there are instances to feed
+registerComponent({
+  name: 'scroll-effects',
+  deps: ['shader-background'],
+  init() {
+    return new ScrollEffects(getComponent('shader-background') || []);
+  }
+});
@@ -1,35 +1,224 @@
 /**
  * ShaderToy-inspired WebGL Background
- * Implements a hexagonal pattern with animated noise for the hero section
+ * Draws a pattern animated by noise (hexagons by default; see js/shaderPatterns.js)
+ * that reacts to pointer and touch input and to scrolling (see js/scrollEffects.js),
+ * and crossfades when the pattern changes
  */
 
-class ShaderBackground {
-  constructor() {
-    // Find the hero section
-    this.heroSection = document.querySelector('.hero-section');
-    if (!this.heroSection) {
-      console.error('Hero section not found');
+import { registerComponent } from './registry.js';
+import { motionPreference } from './motionPreference.js';
+import { theme } from './theme.js';
+import { HexCanvasFallback } from './hexFallback.js';
+import { QualityGovernor } from './qualityGovernor.js';
+import { QuadRenderer, Vector3, Vector4 } from './quadRenderer.js';
+import { buildPatternShader, getPattern, getPatternNames } from './shaderPatterns.js';
+import { toRGB } from './utils.js';
+
+export class ShaderBackground {
+  /**
+   * @param {Object} options - Overrides for ShaderBackground.DEFAULTS
+   * @param {HTMLElement|string} options.target - Host element or selector for the background
+   */
+  constructor(options = {}) {
+    // Find the host element
+    const target = options.target || ShaderBackground.DEFAULTS.target;
+    this.host = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!this.host) {
+      console.error('Shader background host not found:', target);
       return;
     }
     
-    // Check for WebGL support
-    if (!this.isWebGLSupported()) {
-      console.warn('WebGL not supported, falling back to standard background');
-      return;
+    // Each host gets one background; mounting again returns the existing instance
+    const existing = ShaderBackground.instances.get(this.host);
+    if (existing) {
+      console.warn('Shader background already mounted on', this.host);
+      return existing;
     }
     
-    // Initialize Three.js components
-    this.scene = null;
-    this.camera = null;
+    // Constructor options take precedence over data-shader-* attributes, which take
+    // precedence over the theme's --shader-* custom properties
+    this.overrides = Object.assign({}, ShaderBackground.readDataOptions(this.host), options);
+    this.options = Object.assign(
+      {},
+      ShaderBackground.DEFAULTS,
+      ShaderBackground.readThemeOptions(this.host),
+      this.overrides
+    );
+    
+    // WebGL renderer and the shader uniforms it uploads on every frame
     this.renderer = null;
-    this.material = null;
-    this.clock = null;
+    this.uniforms = null;
     this.container = null;
     
+    // Active renderer: 'webgl', or 'canvas'/'image' from HexCanvasFallback
+    this.mode = null;
+    this.fallback = null;
+    this.handleContextLost = this.handleContextLost.bind(this);
+    this.handleContextRestored = this.handleContextRestored.bind(this);
+    
+    // Render loop state
+    // The loop only runs while no pause reason (manual, offscreen, hidden, reduced-motion, context-lost) is active
+    this.rafId = null;
+    this.pauseReasons = new Set();
+    this.elapsedTime = 0;
+    this.lastTickTime = 0;
+    this.governor = new QualityGovernor(this.options);
+    this.visibilityObserver = null;
+    this.destroyed = false;
+    this.animate = this.animate.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleMotionPreference = this.handleMotionPreference.bind(this);
+    this.unsubscribeMotion = null;
+    this.applyTheme = this.applyTheme.bind(this);
+    this.unsubscribeTheme = null;
+    
+    // Pointer state in layout pixels (CSS pixels times devicePixelRatio, the space of fragCoord in the shader)
+    this.pointer = {
+      x: 0,
+      y: 0,
+      targetX: 0,
+      targetY: 0,
+      presence: 0,
+      targetPresence: 0,
+      lastTrailX: 0,
+      lastTrailY: 0
+    };
+    this.trailIndex = 0;
+    this.rippleIndex = 0;
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    
+    // Pattern on screen (or being faded to), and the crossfade in progress: { from, to, progress, duration }
+    if (!getPattern(this.options.pattern)) {
+      console.warn(`Unknown shader pattern "${this.options.pattern}"; available: ${getPatternNames().join(', ')}`);
+      this.options.pattern = ShaderBackground.DEFAULTS.pattern;
+    }
+    this.pattern = this.options.pattern;
+    this.transition = null;
+    
+    // How far the page has scrolled past the host, from 0 to 1 (fed by js/scrollEffects.js)
+    this.scrollProgress = 0;
+    
     // Initialize
+    ShaderBackground.instances.set(this.host, this);
     this.init();
   }
   
+  /**
+   * Get the background mounted on an element
+   * 
+   * @param {HTMLElement} element - The host element
+   * @return {ShaderBackground|undefined} - The instance, if one is mounted
+   */
+  static getInstance(element) {
+    return ShaderBackground.instances.get(element);
+  }
+  
+  /**
+   * Mount a background on every element matching a selector
+   * Options come from each element's data-shader-* attributes
+   * 
+   * @param {string} selector - Host selector
+   * @return {ShaderBackground[]} - The mounted instances
+   */
+  static mountAll(selector = '[data-shader-background]') {
+    return Array.from(document.querySelectorAll(selector), element => {
+      return new ShaderBackground({ target: element });
+    });
+  }
+  
+  /**
+   * Encode a canvas as an image
+   * 
+   * @param {HTMLCanvasElement} canvas - The canvas to encode
+   * @param {string} format - 'blob' or 'dataURL'
+   * @param {string} mimeType - Image type
+   * @param {number} quality - Quality from 0 to 1 for lossy image types
+   * @return {Promise<Blob|string>} - The image
+   */
+  static canvasToImage(canvas, format, mimeType, quality) {
+    if (format === 'dataURL') {
+      return Promise.resolve(canvas.toDataURL(mimeType, quality));
+    }
+    
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The frame could not be encoded'));
+        }
+      }, mimeType, quality);
+    });
+  }
+  
+  /**
+   * Read options from data-shader-* attributes on the host element
+   * e.g. data-shader-hex-scale="24" maps to the hexScale option
+   * 
+   * @param {HTMLElement} element - The host element
+   * @return {Object} - Options found on the element
+   */
+  static readDataOptions(element) {
+    const options = {};
+    
+    Object.keys(ShaderBackground.DEFAULTS).forEach(key => {
+      if (key === 'target') return;
+      
+      const value = element.dataset['shader' + key.charAt(0).toUpperCase() + key.slice(1)];
+      if (value === undefined) return;
+      
+      if (typeof ShaderBackground.DEFAULTS[key] === 'number') {
+        const number = parseFloat(value);
+        if (!isNaN(number)) options[key] = number;
+      } else if (typeof ShaderBackground.DEFAULTS[key] === 'boolean') {
+        options[key] = value !== 'false';
+      } else {
+        options[key] = value;
+      }
+    });
+    
+    return options;
+  }
+  
+  /**
+   * Read options from the theme's custom properties (see THEME_PROPERTIES)
+   * They are read on the host, so a host can restyle its own background in CSS
+   * 
+   * @param {HTMLElement} element - The host element
+   * @return {Object} - Options set by the theme
+   */
+  static readThemeOptions(element) {
+    const options = {};
+    const style = window.getComputedStyle(element);
+    
+    Object.keys(ShaderBackground.THEME_PROPERTIES).forEach(key => {
+      const value = style.getPropertyValue(ShaderBackground.THEME_PROPERTIES[key]).trim();
+      if (!value) return;
+      
+      if (typeof ShaderBackground.DEFAULTS[key] === 'number') {
+        const number = parseFloat(value);
+        if (!isNaN(number)) options[key] = number;
+      } else {
+        options[key] = value;
+      }
+    });
+    
+    return options;
+  }
+  
+  /**
+   * Ease a crossfade so it starts and ends gently
+   * 
+   * @param {number} progress - From 0 to 1
+   * @return {number} - Mix amount from 0 to 1
+   */
+  static easeCrossfade(progress) {
+    return progress * progress * (3 - 2 * progress);
+  }
+  
   /**
    * Check if WebGL is supported
    */
@@ -37,7 +226,7 @@ class ShaderBackground {
     try {
       const canvas = document.createElement('canvas');
       return !!(window.WebGLRenderingContext && 
-        (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        (canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
     } catch (e) {
       return false;
     }
@@ -57,111 +246,973 @@ class ShaderBackground {
     this.container.style.height = '100%';
     this.container.style.zIndex = '0'; // Changed from -1 to 0 to ensure it's visible
     this.container.style.overflow = 'hidden';
-    // Use exact RGB values: 0.04706, 0.09804, 0.17647
-    this.container.style.backgroundColor = 'rgb(12, 25, 45)';
-    // Set a backup using the hex value to ensure correct color
-    this.container.style.background = '#0C192D';
+    this.updateContainerColor();
     
-    // Add container to hero section
-    this.heroSection.prepend(this.container);
+    // Add container to the host element
+    this.host.prepend(this.container);
     
-    // Initialize Three.js
-    this.initThree();
+    // Initialize WebGL, or draw the fallback when it can't be used
+    if (this.isWebGLSupported()) {
+      try {
+        this.initRenderer();
+        this.setMode('webgl');
+      } catch (error) {
+        console.error('Error creating WebGL renderer, falling back to canvas background:', error);
+        this.disposeRenderer();
+        this.showFallback();
+      }
+    } else {
+      console.warn('WebGL not supported, falling back to canvas background');
+      this.showFallback();
+    }
     
     // Add event listeners
-    window.addEventListener('resize', this.handleResize.bind(this));
+    window.addEventListener('resize', this.handleResize);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.handleVisibilityChange();
+    this.observeVisibility();
+    this.unsubscribeMotion = motionPreference.subscribe(this.handleMotionPreference);
+    this.unsubscribeTheme = theme.subscribe(this.applyTheme);
+    
+    // Listen on the window because page content sits above the background container
+    window.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+    window.addEventListener('pointerdown', this.handlePointerDown, { passive: true });
+    document.documentElement.addEventListener('pointerleave', this.handlePointerLeave);
     
     console.log('Shader background initialized');
   }
   
   /**
-   * Initialize Three.js scene, camera, renderer, and material
+   * Create the WebGL renderer and the shader uniforms
    */
-  initThree() {
-    // Create scene
-    this.scene = new THREE.Scene();
+  initRenderer() {
+    this.uniforms = {
+      iTime: { value: 0 },
+      iResolution: { value: new Vector3(
+        this.container.offsetWidth, 
+        this.container.offsetHeight, 
+        1
+      )},
+      iMouse: { value: new Vector4() },
+      uTrail: { value: Array.from({ length: ShaderBackground.TRAIL_SIZE }, () => new Vector4()) },
+      uRipples: { value: Array.from({ length: ShaderBackground.RIPPLE_SIZE }, () => new Vector4()) },
+      uHexScale: { value: 0 },
+      uPeriod: { value: 0 },
+      uHexColor: { value: new Vector3() },
+      uHexIntensity: { value: 0 },
+      uBackgroundColor: { value: new Vector3() },
+      uPointerRadius: { value: 0 },
+      uPointerIntensity: { value: 0 },
+      uTrailFade: { value: 1 },
+      uRippleSpeed: { value: 0 },
+      uNoiseRadius: { value: 0 },
+      uNoiseStrength: { value: 0 },
+      uRenderScale: { value: 1 },
+      uSamples: { value: 1 },
+      uMix: { value: 0 },
+      uScroll: { value: this.scrollProgress },
+      uScrollDrift: { value: 0 },
+      uScrollZoom: { value: 0 },
+      uScrollDim: { value: 0 }
+    };
+    this.transition = null;
     
-    // Create camera (orthographic for full-screen quad)
-    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-    
-    // Create renderer with simpler configuration
-    this.renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      alpha: false,
+    // Compiles the shaders; throws a ShaderCompileError with the driver's log if they don't
+    this.renderer = new QuadRenderer({
+      vertexShader: this.getVertexShader(),
+      fragmentShader: this.getFragmentShader([this.pattern]),
+      uniforms: this.uniforms,
       preserveDrawingBuffer: true
     });
-    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.setPixelRatio(this.getRenderPixelRatio());
     this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
     
-    // Set the clear color using RGB values directly (0.04706, 0.09804, 0.17647)
-    this.renderer.setClearColor(new THREE.Color(12/255, 25/255, 45/255), 1.0);
+    // Set the clear color to the configured background
+    this.renderer.setClearColor(toRGB(this.options.backgroundColor), 1.0);
     
     this.container.appendChild(this.renderer.domElement);
     
-    // Create clock for animation
-    this.clock = new THREE.Clock();
-    
-    // Create shader material
-    this.material = new THREE.ShaderMaterial({
-      uniforms: {
-        iTime: { value: 0 },
-        iResolution: { value: new THREE.Vector3(
-          this.container.offsetWidth, 
-          this.container.offsetHeight, 
-          1
-        )}
-      },
-      vertexShader: this.getVertexShader(),
-      fragmentShader: this.getFragmentShader(),
-      transparent: true
-    });
+    // Handle the GPU dropping the context (driver reset, too many contexts, etc.)
+    this.renderer.domElement.addEventListener('webglcontextlost', this.handleContextLost);
+    this.renderer.domElement.addEventListener('webglcontextrestored', this.handleContextRestored);
     
-    // Create a full-screen quad
-    const geometry = new THREE.PlaneGeometry(2, 2);
-    const mesh = new THREE.Mesh(geometry, this.material);
-    this.scene.add(mesh);
+    this.updateUniforms();
+    this.applyQuality();
     
     // Start animation loop
-    this.animate();
+    this.startLoop();
+  }
+  
+  /**
+   * Tear the background down: stop rendering, remove listeners, free GPU resources
+   * and remove the container. The host can be mounted again afterwards
+   */
+  destroy() {
+    if (this.destroyed || !this.container) return;
+    this.destroyed = true;
+    
+    this.stopLoop();
+    
+    window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerdown', this.handlePointerDown);
+    document.documentElement.removeEventListener('pointerleave', this.handlePointerLeave);
+    
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+    
+    if (this.unsubscribeMotion) {
+      this.unsubscribeMotion();
+      this.unsubscribeMotion = null;
+    }
+    
+    if (this.unsubscribeTheme) {
+      this.unsubscribeTheme();
+      this.unsubscribeTheme = null;
+    }
+    
+    this.disposeRenderer();
+    
+    if (this.fallback) {
+      this.fallback.destroy();
+      this.fallback = null;
+    }
+    
+    this.container.remove();
+    this.container = null;
+    
+    delete this.host.dataset.shaderMode;
+    ShaderBackground.instances.delete(this.host);
+    this.emit('destroy');
+    
+    console.log('Shader background destroyed');
+  }
+  
+  /**
+   * Move the background into another host, keeping its renderer, clock and pointer state
+   * js/router.js uses this so every page shares one canvas instead of building its own.
+   * The new host's data-shader-* attributes aren't read; the options carry over
+   * 
+   * @param {HTMLElement|string} target - The new host element or selector
+   * @return {boolean} - True if the background moved
+   */
+  moveTo(target) {
+    const host = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!host || host === this.host || this.destroyed || !this.container) return false;
+    
+    if (ShaderBackground.instances.has(host)) {
+      console.warn('Shader background already mounted on', host);
+      return false;
+    }
+    
+    const previousHost = this.host;
+    ShaderBackground.instances.delete(previousHost);
+    delete previousHost.dataset.shaderMode;
+    
+    this.host = host;
+    ShaderBackground.instances.set(host, this);
+    host.prepend(this.container);
+    if (this.mode) host.dataset.shaderMode = this.mode;
+    
+    // Pause and resume with the new host's visibility, and fit its size
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver.observe(host);
+    }
+    this.handleResize();
+    this.emit('move', { previousHost });
+    
+    return true;
+  }
+  
+  /**
+   * Free the WebGL renderer and remove the canvas
+   */
+  disposeRenderer() {
+    this.stopLoop();
+    
+    if (this.renderer) {
+      const canvas = this.renderer.domElement;
+      canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+      canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+      this.renderer.dispose();
+      canvas.remove();
+    }
+    
+    this.renderer = null;
+    this.uniforms = null;
+  }
+  
+  /**
+   * Switch to the fallback background
+   */
+  showFallback() {
+    if (!this.fallback) {
+      this.fallback = new HexCanvasFallback(this.container, this.options);
+    }
+    
+    this.fallback.show();
+    this.setMode(this.fallback.mode);
+  }
+  
+  /**
+   * Record the active renderer and let the page know about it
+   * Sets data-shader-mode on the host and dispatches shaderbackground:modechange
+   * 
+   * @param {string} mode - 'webgl', 'canvas' or 'image'
+   */
+  setMode(mode) {
+    if (this.mode === mode) return;
+    
+    const previousMode = this.mode;
+    this.mode = mode;
+    this.host.dataset.shaderMode = mode;
+    this.emit('modechange', { mode, previousMode });
+  }
+  
+  /**
+   * Dispatch a shaderbackground:* event on the host element
+   * 
+   * @param {string} type - Event name without the prefix
+   * @param {Object} detail - Event details; the instance is always included
+   */
+  emit(type, detail = {}) {
+    this.host.dispatchEvent(new CustomEvent(`shaderbackground:${type}`, {
+      bubbles: true,
+      detail: Object.assign({ instance: this }, detail)
+    }));
+  }
+  
+  /**
+   * Show the fallback while the WebGL context is lost
+   * 
+   * @param {Event} event - The webglcontextlost event
+   */
+  handleContextLost(event) {
+    // Signal that we'd like the context back
+    event.preventDefault();
+    
+    this.pause('context-lost');
+    this.showFallback();
+    this.emit('contextlost');
+    console.warn('Shader background lost its WebGL context');
+  }
+  
+  /**
+   * Rebuild the renderer once the context is back
+   */
+  handleContextRestored() {
+    this.disposeRenderer();
+    
+    try {
+      this.initRenderer();
+    } catch (error) {
+      console.error('Error restoring WebGL renderer:', error);
+      this.disposeRenderer();
+      return;
+    }
+    
+    this.fallback.hide();
+    this.setMode('webgl');
+    this.emit('contextrestored');
+    this.resume('context-lost');
+    
+    // Draw straight away if something else (e.g. reduced motion) keeps the loop paused
+    if (this.isPaused()) {
+      this.renderFrame();
+    }
+  }
+  
+  /**
+   * Pause the render loop
+   * The loop stays paused until every reason it was paused for has been resumed
+   * 
+   * @param {string} reason - Why the loop is paused (defaults to a manual pause)
+   */
+  pause(reason = 'manual') {
+    this.pauseReasons.add(reason);
+    this.stopLoop();
+  }
+  
+  /**
+   * Resume the render loop
+   * 
+   * @param {string} reason - The pause reason to clear (defaults to a manual pause)
+   */
+  resume(reason = 'manual') {
+    this.pauseReasons.delete(reason);
+    
+    if (this.pauseReasons.size === 0) {
+      this.startLoop();
+    }
+  }
+  
+  /**
+   * Whether the render loop is currently stopped
+   * 
+   * @return {boolean} - True while any pause reason is active
+   */
+  isPaused() {
+    return this.rafId === null;
+  }
+  
+  /**
+   * Start requesting animation frames
+   */
+  startLoop() {
+    if (this.rafId !== null || !this.renderer || this.pauseReasons.size > 0) return;
+    
+    // Restart the frame timer so time spent paused is not added to iTime, and don't
+    // let the pause count as a slow frame
+    this.lastTickTime = performance.now();
+    this.governor.reset();
+    this.rafId = requestAnimationFrame(this.animate);
+  }
+  
+  /**
+   * Stop requesting animation frames
+   */
+  stopLoop() {
+    if (this.rafId === null) return;
+    
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+  }
+  
+  /**
+   * Pause while the document is hidden (background tab, minimized window)
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.pause('hidden');
+    } else {
+      this.resume('hidden');
+    }
   }
   
   /**
-   * Animation loop with frame rate limiting
+   * Show a single static frame instead of animated noise when reduced motion is requested
+   * 
+   * @param {boolean} reduced - Whether reduced motion is requested
    */
-  animate() {
+  handleMotionPreference(reduced) {
+    if (reduced) {
+      this.pause('reduced-motion');
+      this.renderFrame();
+    } else {
+      this.resume('reduced-motion');
+    }
+  }
+  
+  /**
+   * Pause while the host element is scrolled out of the viewport
+   */
+  observeVisibility() {
+    if (!('IntersectionObserver' in window)) return;
+    
+    this.visibilityObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.resume('offscreen');
+        } else {
+          this.pause('offscreen');
+        }
+      });
+    }, {
+      threshold: 0
+    });
+    
+    this.visibilityObserver.observe(this.host);
+  }
+  
+  /**
+   * Animation loop, rendering at the quality governor's frame rate
+   * 
+   * @param {number} timestamp - Frame timestamp from requestAnimationFrame
+   */
+  animate(timestamp) {
     if (!this.renderer) return;
     
     // Request next frame
-    requestAnimationFrame(this.animate.bind(this));
+    this.rafId = requestAnimationFrame(this.animate);
+    
+    // Time since the previous frame only, so time spent paused is skipped
+    const now = timestamp || performance.now();
+    const delta = Math.max(0, now - this.lastTickTime) / 1000;
+    this.lastTickTime = now;
+    
+    // Smooth the pointer every frame, even the ones that are not rendered
+    this.updatePointer(delta);
+    
+    if (this.transition) {
+      this.updateTransition(delta);
+    }
+    
+    // Only render when a frame is due at the current quality level's frame rate
+    const render = this.governor.shouldRender(now);
+    
+    // With a fixed time step the shader clock advances by the same amount every rendered
+    // frame, however long the frame took, so a recording is the same on every machine
+    if (this.options.fixedTimeStep > 0) {
+      if (render) this.elapsedTime += this.options.fixedTimeStep;
+    } else {
+      this.elapsedTime += delta;
+    }
     
-    // Frame rate limiting - only render every sixth frame (10fps instead of 60fps)
-    if (!this.frameCount) this.frameCount = 0;
-    this.frameCount++;
+    if (render) {
+      this.renderFrame();
+    }
     
-    if (this.frameCount % 6 === 0) {
-      // Update uniforms
-      this.material.uniforms.iTime.value = this.clock.getElapsedTime();
+    if (this.governor.record(now, render)) {
+      this.applyQuality();
+      this.emit('qualitychange', this.getQuality());
+    }
+  }
+  
+  /**
+   * Device pixels per CSS pixel that the pattern is laid out in
+   * Quality changes only alter how many of them are rendered, so the pattern never moves
+   * 
+   * @return {number} - The layout pixel ratio
+   */
+  getLayoutPixelRatio() {
+    return window.devicePixelRatio || 1;
+  }
+  
+  /**
+   * Drawing buffer pixels per CSS pixel at the current quality level
+   * 
+   * @return {number} - The render pixel ratio
+   */
+  getRenderPixelRatio() {
+    const pixelRatio = this.getLayoutPixelRatio() * this.governor.getLevel().renderScale;
+    return this.options.maxPixelRatio > 0 ? Math.min(pixelRatio, this.options.maxPixelRatio) : pixelRatio;
+  }
+  
+  /**
+   * Apply the quality governor's current level to the renderer and shader
+   */
+  applyQuality() {
+    if (!this.renderer) return;
+    
+    const pixelRatio = this.getRenderPixelRatio();
+    if (pixelRatio !== this.renderer.getPixelRatio()) {
+      this.renderer.setPixelRatio(pixelRatio);
+      this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
+    }
+    
+    const uniforms = this.uniforms;
+    uniforms.uRenderScale.value = pixelRatio / this.getLayoutPixelRatio();
+    uniforms.uSamples.value = Math.min(this.governor.getLevel().samples, ShaderBackground.MAX_SAMPLES);
+  }
+  
+  /**
+   * Get the current rendering quality, for debugging
+   * 
+   * @return {Object} - { adaptive, level, levels, samples, renderScale, frameRate, pixelRatio, frameTime, load },
+   *   where level is the index into the governor's levels (0 is best) and frameTime and load are the latest measurement
+   */
+  getQuality() {
+    const governor = this.governor;
+    
+    return Object.assign({
+      adaptive: governor.adaptive,
+      level: governor.index,
+      levels: governor.levels.length
+    }, governor.getLevel(), {
+      pixelRatio: this.renderer ? this.renderer.getPixelRatio() : null
+    }, governor.stats);
+  }
+  
+  /**
+   * Crossfade to another pattern
+   * 
+   * @param {string} name - A registered pattern (see js/shaderPatterns.js)
+   * @param {Object} options - Options
+   * @param {number} options.duration - Seconds to crossfade over (defaults to the transitionDuration option)
+   * @return {boolean} - False if the pattern is unknown or doesn't compile
+   */
+  setPattern(name, { duration = this.options.transitionDuration } = {}) {
+    if (!this.options || !this.showPattern(name, duration)) return false;
+    
+    // Chosen explicitly, so it wins over the theme like setOptions
+    this.overrides.pattern = name;
+    this.options.pattern = name;
+    return true;
+  }
+  
+  /**
+   * Switch the shader to a pattern, crossfading from the one on screen
+   * Without an animation loop (paused, reduced motion) the switch is immediate.
+   * If the pattern can't be shown, the pattern option goes back to the one that is
+   * 
+   * @param {string} name - A registered pattern
+   * @param {number} duration - Seconds to crossfade over
+   * @return {boolean} - False if the pattern is unknown or doesn't compile
+   */
+  showPattern(name, duration) {
+    if (!getPattern(name)) {
+      console.warn(`Unknown shader pattern "${name}"; available: ${getPatternNames().join(', ')}`);
+      this.options.pattern = this.pattern;
+      return false;
+    }
+    
+    if (name === this.pattern) return true;
+    
+    // Mid-crossfade, turning back continues from where the fade is; otherwise fade
+    // from whichever pattern is showing more
+    let from = this.pattern;
+    let progress = 0;
+    if (this.transition) {
+      const current = this.transition;
+      from = name === current.from || current.progress > 0.5 ? current.to : current.from;
+      progress = name === current.from ? 1 - current.progress : 0;
+    }
+    
+    if (this.renderer) {
+      const animate = duration > 0 && !this.isPaused();
+      if (!this.compilePatterns(animate ? [from, name] : [name])) {
+        this.options.pattern = this.pattern;
+        return false;
+      }
+      
+      this.transition = animate ? { from, to: name, progress, duration } : null;
+      this.uniforms.uMix.value = animate ? ShaderBackground.easeCrossfade(progress) : 0;
       
-      // Render
-      this.renderer.render(this.scene, this.camera);
+      if (this.isPaused()) {
+        this.renderFrame();
+      }
+    }
+    
+    // Without WebGL the pattern is used once the renderer is (re)created
+    const previousPattern = this.pattern;
+    this.pattern = name;
+    this.emit('patternchange', { pattern: name, previousPattern });
+    return true;
+  }
+  
+  /**
+   * Advance the crossfade, and drop the old pattern from the shader once it's finished
+   * 
+   * @param {number} delta - Seconds since the previous frame
+   */
+  updateTransition(delta) {
+    const transition = this.transition;
+    transition.progress = Math.min(1, transition.progress + delta / transition.duration);
+    this.uniforms.uMix.value = ShaderBackground.easeCrossfade(transition.progress);
+    
+    if (transition.progress < 1) return;
+    
+    this.transition = null;
+    
+    // If the single pattern shader fails, the crossfade shader keeps showing the new one
+    if (this.compilePatterns([transition.to])) {
+      this.uniforms.uMix.value = 0;
+    }
+  }
+  
+  /**
+   * Compile the fragment shader for one pattern, or a crossfade between two
+   * The current shader stays in use if the new one doesn't compile
+   * 
+   * @param {string[]} patterns - Pattern names
+   * @return {boolean} - Whether the shader compiled
+   */
+  compilePatterns(patterns) {
+    try {
+      this.renderer.setFragmentShader(this.getFragmentShader(patterns));
+      return true;
+    } catch (error) {
+      console.error('Error compiling shader patterns:', patterns.join(', '), error);
+      return false;
+    }
+  }
+  
+  /**
+   * Render a single frame at the current shader time
+   */
+  renderFrame() {
+    if (!this.renderer) return;
+    
+    // Update uniforms
+    this.uniforms.iTime.value = this.elapsedTime;
+    this.uniforms.iMouse.value.set(this.pointer.x, this.pointer.y, this.pointer.presence, 0);
+    
+    // Render
+    this.renderer.render();
+  }
+  
+  /**
+   * Jump the shader clock to a given time
+   * 
+   * @param {number} time - Shader time in seconds
+   */
+  setTime(time) {
+    this.elapsedTime = Math.max(0, time);
+    
+    if (this.isPaused()) {
+      this.renderFrame();
+    }
+  }
+  
+  /**
+   * Render one frame at a fixed time and size and return it as an image
+   * Pointer effects are left out, so the same arguments always give the same image.
+   * The pattern is laid out as it is in a host of width × height CSS pixels on a screen
+   * with the given pixel ratio, so a capture matches the live hero at that size
+   * 
+   * @param {Object} options - Capture options
+   * @param {number} options.time - Shader time in seconds (defaults to the current time)
+   * @param {number} options.width - Width in CSS pixels (defaults to the host's width)
+   * @param {number} options.height - Height in CSS pixels (defaults to the host's height)
+   * @param {number} options.pixelRatio - Image pixels per CSS pixel (1 gives a width × height image)
+   * @param {string} options.format - 'blob' or 'dataURL'
+   * @param {string} options.mimeType - Image type, e.g. 'image/png' or 'image/jpeg'
+   * @param {number} options.quality - Quality from 0 to 1 for lossy image types
+   * @return {Promise<Blob|string>} - The image
+   */
+  captureFrame({ time = this.elapsedTime, width, height, pixelRatio = 1, format = 'blob', mimeType = 'image/png', quality } = {}) {
+    if (!this.renderer) {
+      return Promise.reject(new Error('Frame capture needs the WebGL renderer'));
+    }
+    
+    width = Math.round(width || this.container.offsetWidth);
+    height = Math.round(height || this.container.offsetHeight);
+    
+    const gl = this.renderer.getContext();
+    const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    if (width < 1 || height < 1 || width * pixelRatio > maxWidth || height * pixelRatio > maxHeight) {
+      return Promise.reject(new RangeError(`Capture size must be between 1×1 and ${maxWidth}×${maxHeight} pixels`));
+    }
+    
+    const still = this.renderStill(time, width, height, pixelRatio);
+    return ShaderBackground.canvasToImage(still, format, mimeType, quality);
+  }
+  
+  /**
+   * Capture an image sequence at a fixed time step, e.g. to assemble into a video
+   * Frames are captured one after another, so the page stays responsive
+   * 
+   * @param {Object} options - captureFrame options, plus:
+   * @param {number} options.start - Shader time of the first frame in seconds
+   * @param {number} options.duration - Length of the sequence in seconds
+   * @param {number} options.fps - Frames per second of shader time
+   * @param {Function} options.onFrame - Called with (image, index, count) as each frame is ready
+   * @return {Promise<Array>} - The images, in order
+   */
+  captureSequence({ start = 0, duration = 1, fps = 30, onFrame, ...options } = {}) {
+    const count = Math.max(1, Math.round(duration * fps));
+    const frames = [];
+    let sequence = Promise.resolve();
+    
+    for (let index = 0; index < count; index++) {
+      sequence = sequence
+        .then(() => this.captureFrame(Object.assign({}, options, { time: start + index / fps })))
+        .then(image => {
+          frames.push(image);
+          if (onFrame) onFrame(image, index, count);
+        });
+    }
+    
+    return sequence.then(() => frames);
+  }
+  
+  /**
+   * Render a frame into an offscreen copy, then put the live view back
+   * 
+   * @param {number} time - Shader time in seconds
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {number} pixelRatio - Drawing buffer pixels per CSS pixel
+   * @return {HTMLCanvasElement} - A 2D canvas holding the frame
+   */
+  renderStill(time, width, height, pixelRatio) {
+    const uniforms = this.uniforms;
+    const points = uniforms.uTrail.value.concat(uniforms.uRipples.value);
+    const strengths = points.map(point => point.w);
+    const livePixelRatio = this.renderer.getPixelRatio();
+    const liveRenderScale = uniforms.uRenderScale.value;
+    const liveSamples = uniforms.uSamples.value;
+    
+    // Leave the pointer glow, trail and ripples out, and show the page scrolled to the top
+    points.forEach(point => { point.w = 0; });
+    uniforms.uScroll.value = 0;
+    uniforms.iMouse.value.set(0, 0, 0, 0);
+    uniforms.iTime.value = time;
+    uniforms.iResolution.value.set(width, height, 1);
+    
+    // Captures don't depend on how the live animation is coping: full resolution, best samples
+    uniforms.uRenderScale.value = 1;
+    uniforms.uSamples.value = Math.min(this.governor.levels[0].samples, ShaderBackground.MAX_SAMPLES);
+    
+    // Resize the drawing buffer only; the canvas keeps its size on the page
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(width, height, false);
+    this.renderer.render();
+    
+    // Copy the frame before restoring the live size, which clears the drawing buffer
+    const source = this.renderer.domElement;
+    const still = document.createElement('canvas');
+    still.width = source.width;
+    still.height = source.height;
+    still.getContext('2d').drawImage(source, 0, 0);
+    
+    points.forEach((point, index) => { point.w = strengths[index]; });
+    uniforms.uRenderScale.value = liveRenderScale;
+    uniforms.uSamples.value = liveSamples;
+    uniforms.uScroll.value = this.scrollProgress;
+    this.renderer.setPixelRatio(livePixelRatio);
+    this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight, false);
+    uniforms.iResolution.value.set(this.container.offsetWidth, this.container.offsetHeight, 1);
+    this.renderFrame();
+    
+    return still;
+  }
+  
+  /**
+   * Convert viewport coordinates to layout pixels with the origin at the bottom left
+   * This matches fragCoord in the shader, so it maps both through the same aspect correction
+   * 
+   * @param {number} clientX - Horizontal viewport coordinate
+   * @param {number} clientY - Vertical viewport coordinate
+   * @return {Object|null} - { x, y } in layout pixels, or null when outside the host
+   */
+  toFragCoord(clientX, clientY) {
+    if (!this.renderer) return null;
+    
+    const rect = this.container.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) return null;
+    
+    const pixelRatio = this.getLayoutPixelRatio();
+    return {
+      x: x * pixelRatio,
+      y: (rect.height - y) * pixelRatio
+    };
+  }
+  
+  /**
+   * Track hovering mice and pens
+   * Touch moves are ignored so scrolling a touch screen doesn't paint a trail
+   * 
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.options.interactive || event.pointerType === 'touch') return;
+    
+    const point = this.toFragCoord(event.clientX, event.clientY);
+    if (!point) {
+      this.pointer.targetPresence = 0;
+      return;
     }
+    
+    // Jump straight to the pointer when it re-enters so the glow doesn't sweep across the hero
+    if (this.pointer.presence < 0.01) {
+      this.pointer.x = this.pointer.lastTrailX = point.x;
+      this.pointer.y = this.pointer.lastTrailY = point.y;
+    }
+    
+    this.pointer.targetX = point.x;
+    this.pointer.targetY = point.y;
+    this.pointer.targetPresence = 1;
+  }
+  
+  /**
+   * Start a ripple where the host is clicked or tapped
+   * This is the only pointer effect on touch-only devices
+   * 
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerDown(event) {
+    if (!this.renderer || !this.options.interactive) return;
+    
+    const point = this.toFragCoord(event.clientX, event.clientY);
+    if (!point) return;
+    
+    const ripple = this.uniforms.uRipples.value[this.rippleIndex];
+    ripple.set(point.x, point.y, this.elapsedTime, 1);
+    this.rippleIndex = (this.rippleIndex + 1) % ShaderBackground.RIPPLE_SIZE;
+  }
+  
+  /**
+   * Fade the hover glow out when the pointer leaves the page
+   */
+  handlePointerLeave() {
+    this.pointer.targetPresence = 0;
+  }
+  
+  /**
+   * Ease the pointer towards its target and drop trail points behind it
+   * 
+   * @param {number} delta - Seconds since the previous frame
+   */
+  updatePointer(delta) {
+    if (!this.renderer || !this.options.interactive) return;
+    
+    const pointer = this.pointer;
+    const amount = 1 - Math.exp(-delta * this.options.pointerSmoothing);
+    pointer.x += (pointer.targetX - pointer.x) * amount;
+    pointer.y += (pointer.targetY - pointer.y) * amount;
+    pointer.presence += (pointer.targetPresence - pointer.presence) * amount;
+    
+    // Add a trail point once the pointer has moved far enough from the last one
+    const spacing = this.options.trailSpacing * this.getLayoutPixelRatio();
+    const distance = Math.hypot(pointer.x - pointer.lastTrailX, pointer.y - pointer.lastTrailY);
+    if (pointer.presence > 0.01 && distance >= spacing) {
+      const point = this.uniforms.uTrail.value[this.trailIndex];
+      point.set(pointer.x, pointer.y, this.elapsedTime, pointer.presence);
+      this.trailIndex = (this.trailIndex + 1) % ShaderBackground.TRAIL_SIZE;
+      pointer.lastTrailX = pointer.x;
+      pointer.lastTrailY = pointer.y;
+    }
+  }
+  
+  /**
+   * Set how far the page has scrolled past the host, for the scrollDrift, scrollZoom
+   * and scrollDim options
+   * 
+   * @param {number} progress - From 0 (host top at the top of the viewport) to 1 (host scrolled out of view)
+   */
+  setScrollProgress(progress) {
+    this.scrollProgress = Math.min(Math.max(progress, 0), 1);
+    if (!this.renderer) return;
+    
+    this.uniforms.uScroll.value = this.scrollProgress;
+    
+    // The running loop picks it up on its next frame; a visible still frame is redrawn now
+    if (this.isPaused() && !this.pauseReasons.has('offscreen') && !this.pauseReasons.has('hidden')) {
+      this.renderFrame();
+    }
+  }
+  
+  /**
+   * Update options at runtime
+   * Shader constants are uniforms, so no recompilation is needed
+   * 
+   * @param {Object} options - Partial options to merge into the current ones
+   */
+  setOptions(options = {}) {
+    if (!this.options) return;
+    
+    // The host cannot change after construction
+    const rest = Object.assign({}, options);
+    delete rest.target;
+    
+    // Options set here win over the theme from now on
+    Object.assign(this.overrides, rest);
+    this.updateOptions(rest);
+  }
+  
+  /**
+   * Re-read the theme's custom properties, e.g. after switching themes
+   * Options set explicitly keep their values
+   */
+  applyTheme() {
+    if (!this.options) return;
+    
+    this.updateOptions(Object.assign(ShaderBackground.readThemeOptions(this.host), this.overrides));
+  }
+  
+  /**
+   * Merge options into the current ones and apply them to the renderer
+   * 
+   * @param {Object} options - Partial options
+   */
+  updateOptions(options) {
+    // Changed quality limits start the governor over
+    const qualityChanged = ShaderBackground.QUALITY_OPTIONS.some(key => key in options && options[key] !== this.options[key]);
+    
+    Object.assign(this.options, options);
+    
+    if (this.options.pattern !== this.pattern) {
+      this.showPattern(this.options.pattern, this.options.transitionDuration);
+    }
+    
+    if (qualityChanged) {
+      this.governor = new QualityGovernor(this.options);
+      this.applyQuality();
+    }
+    
+    this.updateContainerColor();
+    
+    if (this.renderer) {
+      this.renderer.setClearColor(toRGB(this.options.backgroundColor), 1.0);
+    }
+    
+    this.updateUniforms();
+    
+    if (this.fallback) {
+      this.fallback.setOptions(this.options);
+    }
+    
+    // Show the change right away even if the loop is paused
+    if (this.isPaused()) {
+      this.renderFrame();
+    }
+  }
+  
+  /**
+   * Copy the current options into the shader uniforms
+   */
+  updateUniforms() {
+    if (!this.renderer) return;
+    
+    const uniforms = this.uniforms;
+    uniforms.uHexScale.value = this.options.hexScale;
+    uniforms.uPeriod.value = this.options.period;
+    uniforms.uHexColor.value.fromArray(toRGB(this.options.hexColor));
+    uniforms.uHexIntensity.value = this.options.hexIntensity;
+    uniforms.uBackgroundColor.value.fromArray(toRGB(this.options.backgroundColor));
+    uniforms.uPointerRadius.value = this.options.pointerRadius;
+    uniforms.uPointerIntensity.value = this.options.interactive ? this.options.pointerIntensity : 0;
+    uniforms.uTrailFade.value = Math.max(0.001, this.options.trailFade);
+    uniforms.uRippleSpeed.value = this.options.rippleSpeed;
+    uniforms.uNoiseRadius.value = this.options.noiseRadius;
+    uniforms.uNoiseStrength.value = this.options.noiseStrength;
+    uniforms.uScrollDrift.value = this.options.scrollDrift;
+    uniforms.uScrollZoom.value = this.options.scrollZoom;
+    uniforms.uScrollDim.value = this.options.scrollDim;
+  }
+  
+  /**
+   * Apply the background color to the container so it matches the shader before the first frame
+   */
+  updateContainerColor() {
+    if (!this.container) return;
+    
+    const [r, g, b] = toRGB(this.options.backgroundColor).map(c => Math.round(c * 255));
+    this.container.style.background = `rgb(${r}, ${g}, ${b})`;
   }
   
   /**
    * Handle window resize
    */
   handleResize() {
-    if (!this.renderer || !this.material) return;
+    if (this.fallback) {
+      this.fallback.resize();
+    }
     
-    // Update renderer size
+    if (!this.renderer) return;
+    
+    // Update renderer size, following devicePixelRatio when the window moves to another screen
+    this.applyQuality();
     this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
     
     // Update resolution uniform
-    this.material.uniforms.iResolution.value.set(
+    this.uniforms.iResolution.value.set(
       this.container.offsetWidth,
       this.container.offsetHeight,
       1
     );
+    
+    // Resizing clears the canvas, so redraw while the loop is not running
+    if (this.isPaused()) {
+      this.renderFrame();
+    }
   }
   
   /**
@@ -169,208 +1220,164 @@ class ShaderBackground {
    */
   getVertexShader() {
     return `
+      attribute vec2 position;
+      
       void main() {
-        gl_Position = vec4(position, 1.0);
+        gl_Position = vec4(position, 0.0, 1.0);
       }
     `;
   }
   
   /**
    * Get fragment shader code
+   * 
+   * @param {string[]} patterns - One pattern, or two to crossfade between with uMix
+   * @return {string} - GLSL
    */
-  getFragmentShader() {
+  getFragmentShader(patterns = [this.pattern]) {
     return `
+      #define TRAIL_SIZE ${ShaderBackground.TRAIL_SIZE}
+      #define RIPPLE_SIZE ${ShaderBackground.RIPPLE_SIZE}
+      #define MAX_SAMPLES ${ShaderBackground.MAX_SAMPLES}
+      
       uniform float iTime;
       uniform vec3 iResolution;
+      uniform float uHexScale;
+      uniform float uPeriod;
+      uniform float uNoiseRadius;
+      uniform float uNoiseStrength;
+      uniform vec3 uHexColor;
+      uniform float uHexIntensity;
+      uniform vec3 uBackgroundColor;
       
-      /////////////// K.jpg's Re-oriented 8-Point BCC Noise (OpenSimplex2S) ////////////////
-      ////////////////////// Output: vec4(dF/dx, dF/dy, dF/dz, value) //////////////////////
+      // Rendered pixels per layout pixel, and samples per pixel along each axis
+      uniform float uRenderScale;
+      uniform float uSamples;
       
-      // Borrowed from Stefan Gustavson's noise code
-      vec4 permute(vec4 t) {
-          return t * (t * 34.0 + 133.0);
-      }
+      // Pointer input, all positions in layout pixels (see fragCoord in main)
+      // iMouse: xy = smoothed pointer, z = presence (0-1)
+      // uTrail: xy = position, z = iTime when added, w = strength
+      // uRipples: xy = position, z = iTime when tapped, w = strength
+      uniform vec4 iMouse;
+      uniform vec4 uTrail[${ShaderBackground.TRAIL_SIZE}];
+      uniform vec4 uRipples[${ShaderBackground.RIPPLE_SIZE}];
+      uniform float uPointerRadius;
+      uniform float uPointerIntensity;
+      uniform float uTrailFade;
+      uniform float uRippleSpeed;
       
-      // Gradient set is a normalized expanded rhombic dodecahedron
-      vec3 grad(float hash) {
-          
-          // Random vertex of a cube, +/- 1 each
-          vec3 cube = mod(floor(hash / vec3(1.0, 2.0, 4.0)), 2.0) * 2.0 - 1.0;
-          
-          // Random edge of the three edges connected to that vertex
-          // Also a cuboctahedral vertex
-          // And corresponds to the face of its dual, the rhombic dodecahedron
-          vec3 cuboct = cube;
-          cuboct[int(hash / 16.0)] = 0.0;
-          
-          // In a funky way, pick one of the four points on the rhombic face
-          float type = mod(floor(hash / 8.0), 2.0);
-          vec3 rhomb = (1.0 - type) * cube + type * (cuboct + cross(cube, cuboct));
-          
-          // Expand it so that the new edges are the same length
-          // as the existing ones
-          vec3 grad = cuboct * 1.22474487139 + rhomb;
-          
-          // To make all gradients the same length, we only need to shorten the
-          // second type of vector. We also put in the whole noise scale constant.
-          // The compiler should reduce it into the existing floats. I think.
-          grad *= (1.0 - 0.042942436724648037 * type) * 3.5946317686139184;
-          
-          return grad;
-      }
+      // Crossfade between two patterns, from 0 (the first) to 1 (the second)
+      uniform float uMix;
       
-      // BCC lattice split up into 2 cube lattices
-      vec4 openSimplex2SDerivativesPart(vec3 X) {
-          vec3 b = floor(X);
-          vec4 i4 = vec4(X - b, 2.5);
-          
-          // Pick between each pair of oppposite corners in the cube.
-          vec3 v1 = b + floor(dot(i4, vec4(.25)));
-          vec3 v2 = b + vec3(1, 0, 0) + vec3(-1, 1, 1) * floor(dot(i4, vec4(-.25, .25, .25, .35)));
-          vec3 v3 = b + vec3(0, 1, 0) + vec3(1, -1, 1) * floor(dot(i4, vec4(.25, -.25, .25, .35)));
-          vec3 v4 = b + vec3(0, 0, 1) + vec3(1, 1, -1) * floor(dot(i4, vec4(.25, .25, -.25, .35)));
-          
-          // Gradient hashes for the four vertices in this half-lattice.
-          vec4 hashes = permute(mod(vec4(v1.x, v2.x, v3.x, v4.x), 289.0));
-          hashes = permute(mod(hashes + vec4(v1.y, v2.y, v3.y, v4.y), 289.0));
-          hashes = mod(permute(mod(hashes + vec4(v1.z, v2.z, v3.z, v4.z), 289.0)), 48.0);
-          
-          // Gradient extrapolations & kernel function
-          vec3 d1 = X - v1; vec3 d2 = X - v2; vec3 d3 = X - v3; vec3 d4 = X - v4;
-          vec4 a = max(0.75 - vec4(dot(d1, d1), dot(d2, d2), dot(d3, d3), dot(d4, d4)), 0.0);
-          vec4 aa = a * a; vec4 aaaa = aa * aa;
-          vec3 g1 = grad(hashes.x); vec3 g2 = grad(hashes.y);
-          vec3 g3 = grad(hashes.z); vec3 g4 = grad(hashes.w);
-          vec4 extrapolations = vec4(dot(d1, g1), dot(d2, g2), dot(d3, g3), dot(d4, g4));
-          
-          // Derivatives of the noise
-          vec3 derivative = -8.0 * mat4x3(d1, d2, d3, d4) * (aa * a * extrapolations)
-              + mat4x3(g1, g2, g3, g4) * aaaa;
-          
-          // Return it all as a vec4
-          return vec4(derivative, dot(aaaa, extrapolations));
-      }
+      // Scroll progress past the host (0-1), and how far it drifts, zooms and dims the pattern
+      uniform float uScroll;
+      uniform float uScrollDrift;
+      uniform float uScrollZoom;
+      uniform float uScrollDim;
       
-      // Rotates domain, but preserve shape. Hides grid better in cardinal slices.
-      // Good for texturing 3D objects with lots of flat parts along cardinal planes.
-      vec4 openSimplex2SDerivatives_Classical(vec3 X) {
-          X = dot(X, vec3(2.0/3.0)) - X;
-          
-          vec4 result = openSimplex2SDerivativesPart(X) + openSimplex2SDerivativesPart(X + 144.5);
-          
-          return vec4(dot(result.xyz, vec3(2.0/3.0)) - result.xyz, result.w);
-      }
-      
-      //////////////////////////////// End noise code ////////////////////////////////
-      
-      const int aa = 2; // Reduced anti-aliasing for performance
-      const float aperture = 1.0;
-      
-      vec4 colorCorrect(vec3 color) {
-          vec3 x = max(vec3(.0), color*aperture-.004);
-          vec3 retColor = (x*(6.2*x+.5))/(x*(6.2*x+1.7)+0.06);
-          return vec4(min(retColor, 1.0), 1.0);
-      }
-      
-      vec2 hex(vec2 point) {
-          return vec2( (point.x + 1.7321 * point.y) / 3.0, (point.x + 1.7321 * point.y) / 3.0 - 1.1547 * point.y);
-      }
-      
-      vec2 point(vec2 hex) {
-          return vec2(3.0 * (hex.x + hex.y), 1.7321 * (hex.x - hex.y)) / 2.0;
-      }
-      
-      float inhex(vec2 p, vec2 c, float s) {
-          return step(max(abs(c.y - p.y), dot(abs(p - c), normalize(vec2(1.7321, 1.0)))), s / 2.0);
-      }
-      
-      vec2 gethex(vec2 p) {
-          vec2 center = round(hex(p));
-          center.x += inhex(p, point(center + vec2(1, 0)), 1.7321) - inhex(p, point(center + vec2(-1, 0)), 1.7321);
-          center.y += inhex(p, point(center + vec2(0, 1)), 1.7321) - inhex(p, point(center + vec2(0, -1)), 1.7321);
-          return point(center);
-      }
-      
-      vec3 Image(vec2 uv) {
-          // Decreased scale by 36% (20% + 20%) to make hexagons 40% larger
-          float hscale = 32.0;
-          vec2 hex = gethex(hscale * uv);
-          vec2 hsample = hex / hscale;
-      
-          float r = 5.0;
-          // Adjusted animation speed (period set to 25)
-          float period = 25.0;
-      
-          // Simplified calculation for better performance
-          float animTime = iTime * 6.2832 / period;
-          float xOffset = (r - hsample.x) * cos(animTime);
-          float zOffset = (r - hsample.x) * sin(animTime);
-          
-          vec3 pointInSpace = vec3(xOffset, uv.y, zOffset);
-      
-          vec4 val = openSimplex2SDerivatives_Classical(pointInSpace);
-      
-          float s = 0.5 + 1.24 * (val[3]/2.0 + 0.5);
-      
-          // Use 65% lighter RGB values (40% + 25%): 0.13638, 0.24401, 0.36603
-          // Multiplying by 1.2 to make it more visible
-          vec3 hexColor = vec3(0.13638, 0.24401, 0.36603) * 1.2;
-          return hexColor * inhex(hscale * uv, hex, s);
-      }
-      
-      void main() {
-          vec2 fragCoord = gl_FragCoord.xy;
-          vec3 total = vec3(.0);
-          
-          // Reduced MSAA - only use 2x2 sampling on high-resolution displays
-          int samplesX = min(aa, int(iResolution.x > 1000.0 ? 2.0 : 1.0));
-          int samplesY = samplesX;
-          
-          if (samplesX == 1) {
-              // No anti-aliasing for better performance on lower-res displays
-              vec2 uv = (fragCoord - 0.5) / iResolution.xy - vec2(0.5);
-              uv.x *= iResolution.x / iResolution.y;
-              total = Image(uv);
-          } else {
-              // MSAA for higher-res displays
-              for(int i = 0; i < samplesX; i++)
-              for(int j = 0; j < samplesY; j++) {
-                  vec2 uv = (fragCoord + vec2(float(i), float(j)) / float(samplesX) - 0.5) / iResolution.xy - vec2(0.5);
-                  uv.x *= iResolution.x / iResolution.y;
-                  
-                  total += Image(uv);
-              }
-              total /= float(samplesX * samplesY);
-          }
-          
-      // Add background color directly in the shader
-      vec3 backgroundColor = vec3(0.04706, 0.09804, 0.17647);
-      
-      // Mix the hexagon pattern with the background color
-      vec3 finalColor = mix(backgroundColor, total, total.r);
-      
-      // Output the final color
-      gl_FragColor = vec4(finalColor, 1.0);
-      }
+      ${buildPatternShader(patterns)}
     `;
   }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('Initializing shader background...');
-  
-  try {
-    // Check if THREE is available
-    if (typeof THREE === 'undefined') {
-      console.error('THREE.js is not loaded. Make sure to include it before shaderBackground.js');
-      return;
-    }
-    
-    // Initialize shader background
-    window.shaderBackground = new ShaderBackground();
-    console.log('Shader background initialized successfully');
-  } catch (error) {
-    console.error('Error initializing shader background:', error);
+/**
+ * Default options
+ * Every option except target can also be set with a data-shader-* attribute on the host.
+ * On themed pages the colors come from css/theme.css instead (see THEME_PROPERTIES)
+ */
+ShaderBackground.DEFAULTS = {
+  // Host element or selector
+  target: '.hero-section',
+  // Decreased scale by 36% (20% + 20%) to make hexagons 40% larger
+  hexScale: 32.0,
+  // Seconds per noise rotation
+  period: 25.0,
+  // Radius of the circle the noise is sampled around; larger changes faster across the page
+  noiseRadius: 5.0,
+  // How much the noise grows cells, from a size of 0.5 (1.7321 fills a hexagon's cell)
+  noiseStrength: 1.24,
+  // 65% lighter RGB values (40% + 25%) than the background
+  hexColor: [0.13638, 0.24401, 0.36603],
+  // Multiplier on hexColor to make it more visible
+  hexIntensity: 1.2,
+  backgroundColor: '#0C192D',
+  // Pattern drawn by the shader: 'hexagons', 'triangles', 'lines' or another registered
+  // in js/shaderPatterns.js (the canvas fallback always draws hexagons)
+  pattern: 'hexagons',
+  // Seconds to crossfade over when the pattern changes
+  transitionDuration: 1.5,
+  // Adjust the quality below to the measured frame times (see js/qualityGovernor.js);
+  // false keeps the best quality the limits allow
+  adaptiveQuality: true,
+  // Frames per second rendered, at most and when struggling most
+  maxFrameRate: 30,
+  minFrameRate: 10,
+  // Render resolution as a fraction of the screen's, at most and at least
+  maxRenderScale: 1,
+  minRenderScale: 0.5,
+  // Samples per pixel along each axis (2 = 2x2 supersampling), at most and at least
+  maxSamples: 2,
+  minSamples: 1,
+  // Cap on drawing buffer pixels per CSS pixel, so very dense screens aren't rendered in full (0 = no cap)
+  maxPixelRatio: 2,
+  // Light up hexagons near the pointer (hover) and around taps (ripples)
+  interactive: true,
+  // Radius of the pointer glow in pattern space (the same units as the uv in the shader)
+  pointerRadius: 0.12,
+  // Extra brightness at the center of the glow (1 = double brightness)
+  pointerIntensity: 1.0,
+  // How quickly the glow catches up with the pointer (higher is snappier)
+  pointerSmoothing: 8,
+  // CSS pixels the pointer moves before another trail point is dropped
+  trailSpacing: 24,
+  // Seconds for trail points and ripples to fade out
+  trailFade: 1.5,
+  // How fast ripples grow, in pattern space units per second
+  rippleSpeed: 0.35,
+  // Seconds the shader clock advances per rendered frame (0 follows real time)
+  fixedTimeStep: 0,
+  // Scrolling the host out of view (js/scrollEffects.js; the canvas fallback ignores these):
+  // pattern space units the pattern drifts down by, so it lags behind the page like a distant layer
+  scrollDrift: 0.25,
+  // How much the pattern zooms in (0.2 = 20% larger)
+  scrollZoom: 0.1,
+  // How much the pattern fades into the background color (1 = fully)
+  scrollDim: 0.4
+};
+
+// Options the theme sets, and the custom properties they're read from
+ShaderBackground.THEME_PROPERTIES = {
+  backgroundColor: '--shader-background',
+  hexColor: '--shader-hex-color',
+  hexIntensity: '--shader-hex-intensity'
+};
+
+// Sizes of the trail and ripple ring buffers (compiled into the shader)
+ShaderBackground.TRAIL_SIZE = 8;
+ShaderBackground.RIPPLE_SIZE = 4;
+
+// Most samples per pixel along each axis the shader supports (compiled into the shader)
+ShaderBackground.MAX_SAMPLES = 3;
+
+// Options that set the quality governor's limits
+ShaderBackground.QUALITY_OPTIONS = [
+  'adaptiveQuality', 'minFrameRate', 'maxFrameRate', 'minRenderScale', 'maxRenderScale', 'minSamples', 'maxSamples', 'maxPixelRatio'
+];
+
+// Mounted instances by host element
+ShaderBackground.instances = new Map();
+
+// Mount a background on every [data-shader-background] host
+// (each falls back to a canvas background without WebGL)
+registerComponent({
+  name: 'shader-background',
+  init() {
+    console.log('Initializing shader background...');
+    const instances = ShaderBackground.mountAll();
+    console.log(`Shader background initialized successfully (${instances.length} instance(s))`);
+    return instances;
+  },
+  destroy(instances) {
+    instances.forEach(instance => instance.destroy());
   }
 });
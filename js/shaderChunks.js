@@ -0,0 +1,196 @@
+/**
+ * GLSL shared by the shader background's patterns (see js/shaderPatterns.js)
+ * A fragment shader includes each chunk at most once, in the order they're listed
+ * here, so a chunk can use the ones above it. They follow the uniforms ShaderBackground
+ * declares and its TRAIL_SIZE, RIPPLE_SIZE and MAX_SAMPLES defines
+ */
+
+export const SHADER_CHUNKS = {
+  // OpenSimplex2S noise: openSimplex2SDerivatives_Classical(vec3) returns the gradient and value
+  noise: `
+    /////////////// K.jpg's Re-oriented 8-Point BCC Noise (OpenSimplex2S) ////////////////
+    ////////////////////// Output: vec4(dF/dx, dF/dy, dF/dz, value) //////////////////////
+    
+    // Borrowed from Stefan Gustavson's noise code
+    vec4 permute(vec4 t) {
+        return t * (t * 34.0 + 133.0);
+    }
+    
+    // Gradient set is a normalized expanded rhombic dodecahedron
+    vec3 grad(float hash) {
+        
+        // Random vertex of a cube, +/- 1 each
+        vec3 cube = mod(floor(hash / vec3(1.0, 2.0, 4.0)), 2.0) * 2.0 - 1.0;
+        
+        // Random edge of the three edges connected to that vertex
+        // Also a cuboctahedral vertex
+        // And corresponds to the face of its dual, the rhombic dodecahedron
+        // (masked rather than indexed, as GLSL ES 1.0 only indexes with constants)
+        vec3 cuboct = cube * vec3(notEqual(vec3(floor(hash / 16.0)), vec3(0.0, 1.0, 2.0)));
+        
+        // In a funky way, pick one of the four points on the rhombic face
+        float type = mod(floor(hash / 8.0), 2.0);
+        vec3 rhomb = (1.0 - type) * cube + type * (cuboct + cross(cube, cuboct));
+        
+        // Expand it so that the new edges are the same length
+        // as the existing ones
+        vec3 grad = cuboct * 1.22474487139 + rhomb;
+        
+        // To make all gradients the same length, we only need to shorten the
+        // second type of vector. We also put in the whole noise scale constant.
+        // The compiler should reduce it into the existing floats. I think.
+        grad *= (1.0 - 0.042942436724648037 * type) * 3.5946317686139184;
+        
+        return grad;
+    }
+    
+    // BCC lattice split up into 2 cube lattices
+    vec4 openSimplex2SDerivativesPart(vec3 X) {
+        vec3 b = floor(X);
+        vec4 i4 = vec4(X - b, 2.5);
+        
+        // Pick between each pair of oppposite corners in the cube.
+        vec3 v1 = b + floor(dot(i4, vec4(.25)));
+        vec3 v2 = b + vec3(1, 0, 0) + vec3(-1, 1, 1) * floor(dot(i4, vec4(-.25, .25, .25, .35)));
+        vec3 v3 = b + vec3(0, 1, 0) + vec3(1, -1, 1) * floor(dot(i4, vec4(.25, -.25, .25, .35)));
+        vec3 v4 = b + vec3(0, 0, 1) + vec3(1, 1, -1) * floor(dot(i4, vec4(.25, .25, -.25, .35)));
+        
+        // Gradient hashes for the four vertices in this half-lattice.
+        vec4 hashes = permute(mod(vec4(v1.x, v2.x, v3.x, v4.x), 289.0));
+        hashes = permute(mod(hashes + vec4(v1.y, v2.y, v3.y, v4.y), 289.0));
+        hashes = mod(permute(mod(hashes + vec4(v1.z, v2.z, v3.z, v4.z), 289.0)), 48.0);
+        
+        // Gradient extrapolations & kernel function
+        vec3 d1 = X - v1; vec3 d2 = X - v2; vec3 d3 = X - v3; vec3 d4 = X - v4;
+        vec4 a = max(0.75 - vec4(dot(d1, d1), dot(d2, d2), dot(d3, d3), dot(d4, d4)), 0.0);
+        vec4 aa = a * a; vec4 aaaa = aa * aa;
+        vec3 g1 = grad(hashes.x); vec3 g2 = grad(hashes.y);
+        vec3 g3 = grad(hashes.z); vec3 g4 = grad(hashes.w);
+        vec4 extrapolations = vec4(dot(d1, g1), dot(d2, g2), dot(d3, g3), dot(d4, g4));
+        
+        // Derivatives of the noise (mat4x3 products written out, as GLSL ES 1.0 has no mat4x3)
+        vec4 weights = aa * a * extrapolations;
+        vec3 derivative = -8.0 * (d1 * weights.x + d2 * weights.y + d3 * weights.z + d4 * weights.w)
+            + g1 * aaaa.x + g2 * aaaa.y + g3 * aaaa.z + g4 * aaaa.w;
+        
+        // Return it all as a vec4
+        return vec4(derivative, dot(aaaa, extrapolations));
+    }
+    
+    // Rotates domain, but preserve shape. Hides grid better in cardinal slices.
+    // Good for texturing 3D objects with lots of flat parts along cardinal planes.
+    vec4 openSimplex2SDerivatives_Classical(vec3 X) {
+        X = dot(X, vec3(2.0/3.0)) - X;
+        
+        vec4 result = openSimplex2SDerivativesPart(X) + openSimplex2SDerivativesPart(X + 144.5);
+        
+        return vec4(dot(result.xyz, vec3(2.0/3.0)) - result.xyz, result.w);
+    }
+  `,
+  
+  // Tone curve for patterns that produce HDR colors
+  colorCorrect: `
+    const float aperture = 1.0;
+    
+    vec4 colorCorrect(vec3 color) {
+        vec3 x = max(vec3(.0), color*aperture-.004);
+        vec3 retColor = (x*(6.2*x+.5))/(x*(6.2*x+1.7)+0.06);
+        return vec4(min(retColor, 1.0), 1.0);
+    }
+  `,
+  
+  // Hexagonal grid: gethex(p) is the center of the hexagon containing p, inhex(p, c, s)
+  // whether p is inside a hexagon of size s centered at c (1.7321 fills the cell)
+  hexGrid: `
+    vec2 hex(vec2 point) {
+        return vec2( (point.x + 1.7321 * point.y) / 3.0, (point.x + 1.7321 * point.y) / 3.0 - 1.1547 * point.y);
+    }
+    
+    vec2 point(vec2 hex) {
+        return vec2(3.0 * (hex.x + hex.y), 1.7321 * (hex.x - hex.y)) / 2.0;
+    }
+    
+    float inhex(vec2 p, vec2 c, float s) {
+        return step(max(abs(c.y - p.y), dot(abs(p - c), normalize(vec2(1.7321, 1.0)))), s / 2.0);
+    }
+    
+    vec2 gethex(vec2 p) {
+        vec2 center = floor(hex(p) + 0.5);
+        center.x += inhex(p, point(center + vec2(1, 0)), 1.7321) - inhex(p, point(center + vec2(-1, 0)), 1.7321);
+        center.y += inhex(p, point(center + vec2(0, 1)), 1.7321) - inhex(p, point(center + vec2(0, -1)), 1.7321);
+        return point(center);
+    }
+  `,
+  
+  // Pattern space: toUv(fragCoord)
+  space: `
+    // Map pixel coordinates to the aspect-corrected space the pattern is drawn in
+    vec2 toUv(vec2 fragCoord) {
+        vec2 uv = (fragCoord - 0.5) / iResolution.xy - vec2(0.5);
+        uv.x *= iResolution.x / iResolution.y;
+        
+        // Zoom in and drift down as the host scrolls out of view
+        return uv / (1.0 + uScrollZoom * uScroll) + vec2(0.0, uScrollDrift * uScroll);
+    }
+  `,
+  
+  // Pointer, trail and ripple highlights: pointerGlow(c) from 0 to uPointerIntensity
+  pointerGlow: `
+    // How strongly the pointer, its trail and tap ripples light up a cell centered at c
+    float pointerGlow(vec2 c) {
+        float glow = iMouse.z * (1.0 - smoothstep(0.0, uPointerRadius, distance(c, toUv(iMouse.xy))));
+        
+        for (int i = 0; i < TRAIL_SIZE; i++) {
+            vec4 p = uTrail[i];
+            float age = iTime - p.z;
+            if (p.w <= 0.0 || age < 0.0 || age > uTrailFade) continue;
+            
+            float fade = 1.0 - age / uTrailFade;
+            glow += 0.5 * p.w * fade * (1.0 - smoothstep(0.0, uPointerRadius, distance(c, toUv(p.xy))));
+        }
+        
+        // Ripples are rings that grow outwards from the tap
+        for (int i = 0; i < RIPPLE_SIZE; i++) {
+            vec4 p = uRipples[i];
+            float age = iTime - p.z;
+            if (p.w <= 0.0 || age < 0.0 || age > uTrailFade) continue;
+            
+            float fade = 1.0 - age / uTrailFade;
+            float ring = abs(distance(c, toUv(p.xy)) - age * uRippleSpeed);
+            glow += p.w * fade * (1.0 - smoothstep(0.0, uPointerRadius * 0.5, ring));
+        }
+        
+        return min(glow, 1.0) * uPointerIntensity;
+    }
+  `,
+  
+  // main(): supersamples Image(uv), which the pattern registry generates, and blends
+  // the result over the background color
+  supersample: `
+    void main() {
+        // Layout pixels: the pattern is laid out at the full device pixel ratio whatever
+        // resolution it's rendered at, so quality changes don't move it
+        vec2 fragCoord = gl_FragCoord.xy / uRenderScale;
+        vec3 total = vec3(.0);
+        
+        // uSamples x uSamples supersampling (loops need constant bounds in GLSL ES 1.0)
+        for (int i = 0; i < MAX_SAMPLES; i++) {
+            if (float(i) >= uSamples) break;
+            for (int j = 0; j < MAX_SAMPLES; j++) {
+                if (float(j) >= uSamples) break;
+                total += Image(toUv(fragCoord + vec2(float(i), float(j)) / (uSamples * uRenderScale)));
+            }
+        }
+        total /= uSamples * uSamples;
+        
+        // Fade towards the background as the host scrolls out of view
+        total *= 1.0 - uScrollDim * uScroll;
+        
+        // Mix the pattern with the background color
+        vec3 finalColor = mix(uBackgroundColor, total, total.r);
+        
+        // Output the final color
+        gl_FragColor = vec4(finalColor, 1.0);
+    }
+  `
+};
@@ -0,0 +1,197 @@
+/**
+ * Shader background patterns
+ * A pattern is GLSL defining `vec3 <entry>(vec2 uv)`, the color of a point in pattern
+ * space, plus the names of the shared chunks it uses (js/shaderChunks.js). The
+ * background builds a fragment shader from one pattern, or from two while it
+ * crossfades between them.
+ * Patterns read the same uniforms: uHexScale (cells across the height), uPeriod
+ * (seconds per loop of the animation), uNoiseRadius and uNoiseStrength (how fast and
+ * how much the noise varies cell sizes), uHexColor and uHexIntensity
+ */
+
+import { SHADER_CHUNKS } from './shaderChunks.js';
+
+// Registered patterns by name, in registration order
+const patterns = new Map();
+
+/**
+ * Register a pattern
+ * 
+ * @param {Object} pattern - The pattern definition
+ * @param {string} pattern.name - Unique name, as used by the pattern option
+ * @param {string[]} pattern.chunks - Names of the SHADER_CHUNKS it uses
+ * @param {string} pattern.source - GLSL defining the entry function
+ * @param {string} pattern.entry - Name of its `vec3 entry(vec2 uv)` function (defaults to the name)
+ */
+export function registerPattern({ name, chunks = [], source, entry = name }) {
+  if (!name || typeof source !== 'string' || !/^[A-Za-z_]\w*$/.test(entry)) {
+    throw new TypeError('A pattern needs a name, GLSL source and a valid entry function name');
+  }
+  
+  const unknown = chunks.filter(chunk => !(chunk in SHADER_CHUNKS));
+  if (unknown.length) {
+    throw new TypeError(`Pattern "${name}" uses unknown shader chunks: ${unknown.join(', ')}`);
+  }
+  
+  if (patterns.has(name)) {
+    console.warn(`Pattern "${name}" is already registered; replacing it`);
+  }
+  
+  patterns.set(name, { name, chunks, source, entry });
+}
+
+/**
+ * Get a registered pattern
+ * 
+ * @param {string} name - Pattern name
+ * @return {Object|undefined} - The pattern definition
+ */
+export function getPattern(name) {
+  return patterns.get(name);
+}
+
+/**
+ * List the registered patterns
+ * 
+ * @return {string[]} - Pattern names, in registration order
+ */
+export function getPatternNames() {
+  return Array.from(patterns.keys());
+}
+
+/**
+ * Build the body of a fragment shader (everything after the uniforms) for one pattern,
+ * or for a crossfade between two. While crossfading, uMix goes from 0 (the first
+ * pattern) to 1 (the second)
+ * 
+ * @param {string[]} names - One or two registered pattern names
+ * @return {string} - GLSL
+ */
+export function buildPatternShader(names) {
+  const selected = names.map(name => {
+    const pattern = patterns.get(name);
+    if (!pattern) throw new RangeError(`Unknown shader pattern: ${name}`);
+    return pattern;
+  });
+  
+  // Every shader needs the pattern space and main(); main() goes last as it calls Image()
+  const used = new Set(['space']);
+  selected.forEach(pattern => pattern.chunks.forEach(chunk => used.add(chunk)));
+  const chunks = Object.keys(SHADER_CHUNKS)
+    .filter(chunk => chunk !== 'supersample' && used.has(chunk))
+    .map(chunk => SHADER_CHUNKS[chunk]);
+  
+  const [from, to] = selected;
+  const image = to ? `
+    vec3 Image(vec2 uv) {
+        // Skip the hidden pattern at either end of the crossfade
+        if (uMix <= 0.0) return ${from.entry}(uv);
+        if (uMix >= 1.0) return ${to.entry}(uv);
+        return mix(${from.entry}(uv), ${to.entry}(uv), uMix);
+    }
+  ` : `
+    vec3 Image(vec2 uv) {
+        return ${from.entry}(uv);
+    }
+  `;
+  
+  return chunks
+    .concat(selected.map(pattern => pattern.source), image, SHADER_CHUNKS.supersample)
+    .join('\n');
+}
+
+// Hexagons that grow and shrink with the noise (the original hero background)
+registerPattern({
+  name: 'hexagons',
+  chunks: ['noise', 'hexGrid', 'pointerGlow'],
+  source: `
+    vec3 hexagons(vec2 uv) {
+        float hscale = uHexScale;
+        vec2 hex = gethex(hscale * uv);
+        vec2 hsample = hex / hscale;
+        
+        float r = uNoiseRadius;
+        float period = uPeriod;
+        
+        // Simplified calculation for better performance
+        float animTime = iTime * 6.2832 / period;
+        float xOffset = (r - hsample.x) * cos(animTime);
+        float zOffset = (r - hsample.x) * sin(animTime);
+        
+        vec3 pointInSpace = vec3(xOffset, uv.y, zOffset);
+        
+        vec4 val = openSimplex2SDerivatives_Classical(pointInSpace);
+        
+        float s = 0.5 + uNoiseStrength * (val[3]/2.0 + 0.5);
+        
+        // Hexagons near the pointer grow (short of touching their neighbours) and brighten
+        float glow = pointerGlow(hsample);
+        s = min(s + glow * 0.4, 1.65);
+        
+        vec3 hexColor = uHexColor * uHexIntensity * (1.0 + glow);
+        return hexColor * inhex(hscale * uv, hex, s);
+    }
+  `
+});
+
+// Triangles, the faces of the Platonic solids that tile the plane, each growing and
+// shrinking around its center with the noise
+registerPattern({
+  name: 'triangles',
+  chunks: ['noise', 'pointerGlow'],
+  source: `
+    vec3 triangles(vec2 uv) {
+        // Triangles with sides of 2 cells, so they're about as big as the hexagons
+        float scale = uHexScale;
+        vec2 p = scale * uv / 2.0;
+        
+        // Skew onto a lattice of rhombi, each split into an upward and a downward triangle
+        vec2 skewed = vec2(p.x - p.y * 0.57735, p.y * 1.1547);
+        vec2 f = fract(skewed);
+        float downward = step(1.0, f.x + f.y);
+        vec2 center = floor(skewed) + mix(vec2(1.0 / 3.0), vec2(2.0 / 3.0), downward);
+        center = vec2(center.x + center.y * 0.5, center.y * 0.866025);
+        vec2 csample = center * 2.0 / scale;
+        
+        // Same noise loop as the hexagons, sampled at the center
+        float animTime = iTime * 6.2832 / uPeriod;
+        float radius = uNoiseRadius - csample.x;
+        vec4 val = openSimplex2SDerivatives_Classical(vec3(radius * cos(animTime), csample.y, radius * sin(animTime)));
+        float s = 0.5 + uNoiseStrength * (val.w / 2.0 + 0.5);
+        
+        float glow = pointerGlow(csample);
+        s = min(s + glow * 0.4, 1.65);
+        
+        // Distance from the center along the edge normals; a downward triangle's are flipped
+        vec2 q = (p - center) * (1.0 - 2.0 * downward);
+        float d = max(-q.y, max(dot(q, vec2(0.866025, 0.5)), dot(q, vec2(-0.866025, 0.5))));
+        
+        // 0.288675 is the inradius of a unit triangle; like the hexagons, s = 1.7321 fills the cell
+        return uHexColor * uHexIntensity * (1.0 + glow) * step(d, 0.288675 * s / 1.7321);
+    }
+  `
+});
+
+// Contour lines drifting across the page as the noise turns
+registerPattern({
+  name: 'lines',
+  chunks: ['noise', 'pointerGlow'],
+  source: `
+    vec3 lines(vec2 uv) {
+        float animTime = iTime * 6.2832 / uPeriod;
+        vec3 pointInSpace = vec3(uv.x + 2.0 * cos(animTime), uv.y, 2.0 * sin(animTime));
+        float value = openSimplex2SDerivatives_Classical(pointInSpace * 1.5).w;
+        
+        // A line every 4 cells down the page, pushed up and down by the noise
+        float offset = uv.y * uHexScale / 4.0 + value * 1.5;
+        float distanceToLine = abs(fract(offset) - 0.5) * 2.0;
+        
+        // Lines thicken where the noise is high and around the pointer
+        float glow = pointerGlow(uv);
+        float width = 0.06 + 0.1 * (value * 0.5 + 0.5) + 0.15 * glow;
+        float line = 1.0 - smoothstep(width * 0.5, width, distanceToLine);
+        
+        return uHexColor * uHexIntensity * (1.0 + glow) * line;
+    }
+  `
+});
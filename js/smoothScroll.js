@@ -0,0 +1,242 @@
+/**
+ * In-page navigation
+ * Smooth scrolling to anchors below the fixed navbar, hash deep-linking with
+ * history support, and a scrollspy that marks the nav item for the section in view
+ */
+
+import { registerComponent } from './registry.js';
+import { motionPreference } from './motionPreference.js';
+
+// Space left between the bottom of the fixed navbar and the scroll target
+const SCROLL_GAP = 16;
+
+/**
+ * Smooth scroll to sections when clicking on in-page links
+ * Links whose hash has no matching element are left alone so other
+ * components (e.g. dialogs opened by #contact) can handle them
+ * 
+ * @return {Object} - { destroy } to remove the listeners
+ */
+export function initSmoothScroll() {
+  // Scroll positions for hash entries are handled here, not by the browser
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+  
+  // Page shown, so moves between pages can be left to js/router.js
+  let currentPath = location.pathname;
+  
+  // Hash whose popstate was just handled; the hashchange that follows it is skipped
+  let poppedHash = null;
+  
+  // Delegate so links added later (dropdown menus, rendered content) are covered
+  function handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    const link = event.target.closest('a[href^="#"]');
+    if (!link) return;
+    
+    const target = getHashTarget(link.hash);
+    if (!target) return;
+    
+    event.preventDefault();
+    
+    if (location.hash !== link.hash) {
+      history.pushState(null, '', location.pathname + location.search + link.hash);
+    }
+    
+    scrollToTarget(target);
+  }
+  
+  // Back/forward between hash entries
+  function handlePopState() {
+    if (location.pathname !== currentPath) return;
+    
+    poppedHash = location.hash;
+    const target = getHashTarget(location.hash);
+    
+    if (target) {
+      scrollToTarget(target);
+    } else if (!location.hash) {
+      window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+    }
+  }
+  
+  // Hashes typed into the address bar jump without the navbar offset, so correct it
+  function handleHashChange() {
+    const popped = poppedHash === location.hash;
+    poppedHash = null;
+    if (popped) return;
+    
+    const target = getHashTarget(location.hash);
+    if (target) scrollToTarget(target, 'auto');
+  }
+  
+  function handleRouteChange() {
+    currentPath = location.pathname;
+  }
+  
+  document.addEventListener('click', handleClick);
+  document.addEventListener('router:change', handleRouteChange);
+  window.addEventListener('popstate', handlePopState);
+  window.addEventListener('hashchange', handleHashChange);
+  
+  scrollToInitialHash();
+  
+  return {
+    destroy() {
+      document.removeEventListener('click', handleClick);
+      document.removeEventListener('router:change', handleRouteChange);
+      window.removeEventListener('popstate', handlePopState);
+      window.removeEventListener('hashchange', handleHashChange);
+    }
+  };
+}
+
+/**
+ * Deep-link to the hash the page was loaded with
+ * Only the scroll position is set; the load and scroll reveals are left to play
+ * as usual. The position is corrected again on load in case images shifted the layout
+ */
+function scrollToInitialHash() {
+  const target = getHashTarget(location.hash);
+  if (!target) return;
+  
+  let userScrolled = false;
+  const markUserScroll = () => { userScrolled = true; };
+  window.addEventListener('wheel', markUserScroll, { once: true, passive: true });
+  window.addEventListener('touchstart', markUserScroll, { once: true, passive: true });
+  window.addEventListener('keydown', markUserScroll, { once: true });
+  
+  requestAnimationFrame(() => scrollToTarget(target, 'auto', false));
+  
+  window.addEventListener('load', function() {
+    if (!userScrolled) scrollToTarget(target, 'auto', false);
+  }, { once: true });
+}
+
+/**
+ * Find the element a hash points at
+ * 
+ * @param {string} hash - A location hash such as '#features'
+ * @return {HTMLElement|null} - The target element, if it exists
+ */
+export function getHashTarget(hash) {
+  if (!hash || hash === '#') return null;
+  
+  try {
+    return document.getElementById(decodeURIComponent(hash.slice(1)));
+  } catch (error) {
+    // Malformed escape sequences in the hash
+    return null;
+  }
+}
+
+/**
+ * Height covered by the fixed navigation bar
+ * 
+ * @return {number} - Offset in pixels from the top of the viewport
+ */
+function getScrollOffset() {
+  const nav = document.querySelector('.nav-container');
+  return nav ? nav.getBoundingClientRect().bottom + SCROLL_GAP : 0;
+}
+
+/**
+ * Smooth scrolling unless reduced motion is requested
+ * 
+ * @return {string} - A ScrollBehavior value
+ */
+export function getScrollBehavior() {
+  return motionPreference.isReduced() ? 'auto' : 'smooth';
+}
+
+/**
+ * Scroll an element into view below the fixed navbar
+ * 
+ * @param {HTMLElement} target - The element to scroll to
+ * @param {string} behavior - 'smooth' or 'auto'; defaults to smooth unless reduced motion is requested
+ * @param {boolean} moveFocus - Move keyboard focus to the target as well
+ */
+export function scrollToTarget(target, behavior = getScrollBehavior(), moveFocus = true) {
+  const top = target.getBoundingClientRect().top + window.pageYOffset - getScrollOffset();
+  
+  window.scrollTo({ top: Math.max(0, top), behavior });
+  
+  // Keep keyboard and screen reader users in step with the scroll position
+  if (moveFocus) {
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Mark the nav item for the section currently in view
+ * A section is current while it crosses a band across the middle of the viewport
+ * 
+ * @return {Object|null} - { destroy } to stop tracking, or null if no links point at sections
+ */
+export function initScrollSpy() {
+  const links = Array.from(document.querySelectorAll('.nav-links a[href^="#"]'));
+  const sections = new Map();
+  
+  // Pick one link per section, preferring top-level links over dropdown items
+  links.forEach(link => {
+    const target = getHashTarget(link.hash);
+    if (!target) return;
+    
+    const current = sections.get(target);
+    if (!current || (current.closest('.dropdown-menu') && !link.closest('.dropdown-menu'))) {
+      sections.set(target, link);
+    }
+  });
+  
+  if (!sections.size) return null;
+  
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      const link = sections.get(entry.target);
+      const item = link.closest('.nav-item');
+      
+      if (entry.isIntersecting) {
+        link.setAttribute('aria-current', 'location');
+        if (item) item.classList.add('is-current');
+      } else {
+        link.removeAttribute('aria-current');
+        if (item) item.classList.remove('is-current');
+      }
+    });
+  }, {
+    // Shrink the viewport to a thin band just above its middle
+    rootMargin: '-45% 0px -54% 0px'
+  });
+  
+  sections.forEach((link, section) => {
+    observer.observe(section);
+  });
+  
+  return {
+    destroy() {
+      observer.disconnect();
+      sections.forEach(link => {
+        link.removeAttribute('aria-current');
+        const item = link.closest('.nav-item');
+        if (item) item.classList.remove('is-current');
+      });
+    }
+  };
+}
+
+registerComponent({
+  name: 'smooth-scroll',
+  init: initSmoothScroll
+});
+
+// The scrollspy marks the links smooth scrolling handles, including those in the dropdown menus
+registerComponent({
+  name: 'scroll-spy',
+  deps: ['smooth-scroll', 'dropdowns'],
+  init: initScrollSpy
+});
@@ -0,0 +1,187 @@
+/**
+ * Theme service
+ * Sets data-theme on <html> to 'dark' or 'light'. The theme follows prefers-color-scheme
+ * until the visitor picks one with a [data-theme-toggle] button, and that choice is
+ * remembered. The colors themselves are CSS custom properties in css/theme.css
+ */
+
+import { registerComponent } from './registry.js';
+import { i18n } from './i18n.js';
+
+// Themes defined in css/theme.css
+export const THEMES = ['dark', 'light'];
+
+// localStorage key for the visitor's choice (also read by the inline script in index.html)
+const THEME_STORAGE_KEY = 'platonic.theme';
+
+export const theme = (function() {
+  const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+  const listeners = new Set();
+  let preference = readPreference();
+  let current = null;
+  
+  /**
+   * Read the saved choice
+   * 
+   * @return {string|null} - A theme name, or null to follow the system
+   */
+  function readPreference() {
+    try {
+      const saved = localStorage.getItem(THEME_STORAGE_KEY);
+      return THEMES.indexOf(saved) !== -1 ? saved : null;
+    } catch (error) {
+      // Storage can be unavailable (e.g. blocked cookies)
+      return null;
+    }
+  }
+  
+  /**
+   * Get the theme the system asks for
+   * 
+   * @return {string} - 'light' or 'dark'
+   */
+  function getSystemTheme() {
+    return query && query.matches ? 'light' : 'dark';
+  }
+  
+  /**
+   * Get the active theme
+   * 
+   * @return {string} - 'light' or 'dark'
+   */
+  function getTheme() {
+    return preference || getSystemTheme();
+  }
+  
+  /**
+   * Apply the active theme and notify listeners if it changed
+   */
+  function apply() {
+    const next = getTheme();
+    if (next === current) return;
+    
+    current = next;
+    document.documentElement.dataset.theme = current;
+    listeners.forEach(listener => listener(current));
+  }
+  
+  /**
+   * Pick up a choice made in another tab
+   * 
+   * @param {StorageEvent} event - The storage event
+   */
+  function handleStorage(event) {
+    if (event.key !== THEME_STORAGE_KEY) return;
+    
+    preference = readPreference();
+    apply();
+  }
+  
+  if (query) {
+    // Older Safari only supports addListener on MediaQueryList
+    if (query.addEventListener) {
+      query.addEventListener('change', apply);
+    } else if (query.addListener) {
+      query.addListener(apply);
+    }
+  }
+  
+  window.addEventListener('storage', handleStorage);
+  apply();
+  
+  return {
+    getTheme,
+    
+    /**
+     * Get the visitor's saved choice
+     * 
+     * @return {string|null} - A theme name, or null when following the system
+     */
+    getPreference() {
+      return preference;
+    },
+    
+    /**
+     * Choose a theme and remember it
+     * 
+     * @param {string|null} name - 'dark', 'light', or null to follow the system again
+     */
+    setTheme(name) {
+      if (name !== null && THEMES.indexOf(name) === -1) {
+        console.warn('Unknown theme:', name);
+        return;
+      }
+      
+      preference = name;
+      
+      try {
+        if (name) {
+          localStorage.setItem(THEME_STORAGE_KEY, name);
+        } else {
+          localStorage.removeItem(THEME_STORAGE_KEY);
+        }
+      } catch (error) {
+        console.warn('Could not save the theme:', error);
+      }
+      
+      apply();
+    },
+    
+    /**
+     * Switch to the other theme
+     */
+    toggle() {
+      this.setTheme(getTheme() === 'dark' ? 'light' : 'dark');
+    },
+    
+    /**
+     * Listen for theme changes
+     * The listener is called immediately with the current theme
+     * 
+     * @param {Function} listener - Called with the theme name
+     * @return {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(current);
+      
+      return () => listeners.delete(listener);
+    }
+  };
+})();
+
+/**
+ * Wire up theme toggle buttons
+ * Each button's label names the theme it switches to
+ * 
+ * @param {string} selector - Toggle button selector
+ * @return {Object} - Controller with a destroy method
+ */
+function initThemeToggles(selector = '[data-theme-toggle]') {
+  const buttons = Array.from(document.querySelectorAll(selector));
+  
+  const handleClick = () => theme.toggle();
+  
+  const update = () => {
+    const label = i18n.t(theme.getTheme() === 'light' ? 'theme.toDark' : 'theme.toLight');
+    buttons.forEach(button => button.setAttribute('aria-label', label));
+  };
+  
+  buttons.forEach(button => button.addEventListener('click', handleClick));
+  const unsubscribeTheme = theme.subscribe(update);
+  const unsubscribeLocale = i18n.subscribe(update);
+  
+  return {
+    destroy() {
+      unsubscribeTheme();
+      unsubscribeLocale();
+      buttons.forEach(button => button.removeEventListener('click', handleClick));
+    }
+  };
+}
+
+registerComponent({
+  name: 'theme',
+  deps: ['i18n'],
+  init: () => initThemeToggles()
+});
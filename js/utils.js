@@ -10,7 +10,7 @@
  * @param {number} wait - The time to wait in milliseconds
  * @return {Function} - The debounced function
  */
-function debounce(func, wait) {
+export function debounce(func, wait) {
   let timeout;
   
   return function executedFunction(...args) {
@@ -24,6 +24,51 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Throttle function to run a function at most once per interval
+ * The first call runs straight away and the latest one during an interval runs at its
+ * end, so the final state is never missed. Without a wait it runs at most once per
+ * animation frame, which suits scroll handlers that move things on the page
+ * 
+ * @param {Function} func - The function to throttle
+ * @param {number} wait - Optional time between calls in milliseconds
+ * @return {Function} - The throttled function, with cancel() to drop a pending call
+ */
+export function throttle(func, wait) {
+  const schedule = wait === undefined ? callback => requestAnimationFrame(callback) : callback => setTimeout(callback, wait);
+  const unschedule = wait === undefined ? id => cancelAnimationFrame(id) : id => clearTimeout(id);
+  let timeout = null;
+  let pendingArgs = null;
+  
+  const later = () => {
+    if (pendingArgs) {
+      const args = pendingArgs;
+      pendingArgs = null;
+      func(...args);
+      timeout = schedule(later);
+    } else {
+      timeout = null;
+    }
+  };
+  
+  function executedFunction(...args) {
+    if (timeout === null) {
+      func(...args);
+      timeout = schedule(later);
+    } else {
+      pendingArgs = args;
+    }
+  }
+  
+  executedFunction.cancel = () => {
+    if (timeout !== null) unschedule(timeout);
+    timeout = null;
+    pendingArgs = null;
+  };
+  
+  return executedFunction;
+}
+
 /**
  * Check if an element is in the viewport
  * 
@@ -31,7 +76,7 @@ function debounce(func, wait) {
  * @param {number} offset - Optional offset to use
  * @return {boolean} - Whether the element is in the viewport
  */
-function isInViewport(element, offset = 0) {
+export function isInViewport(element, offset = 0) {
   if (!element) return false;
   
   const rect = element.getBoundingClientRect();
@@ -49,7 +94,7 @@ function isInViewport(element, offset = 0) {
  * 
  * @return {Object} - Object containing width and height of the viewport
  */
-function getViewportDimensions() {
+export function getViewportDimensions() {
   return {
     width: window.innerWidth || document.documentElement.clientWidth,
     height: window.innerHeight || document.documentElement.clientHeight
@@ -61,16 +106,123 @@ function getViewportDimensions() {
  * 
  * @return {boolean} - Whether the device is mobile
  */
-function isMobileDevice() {
+export function isMobileDevice() {
   return window.innerWidth < 768;
 }
 
-// Export utilities if using modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    debounce,
-    isInViewport,
-    getViewportDimensions,
-    isMobileDevice
+/**
+ * Keep keyboard focus inside a container while it is active
+ * Tab from the last focusable element wraps to the first, and Shift+Tab the other way
+ * 
+ * @param {HTMLElement} container - The element to trap focus in
+ * @return {Object} - { activate, deactivate, getFocusable }
+ */
+export function createFocusTrap(container) {
+  const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]';
+  
+  // Visible elements that are reachable with Tab
+  function getFocusable() {
+    return Array.from(container.querySelectorAll(selector)).filter(element => {
+      return element.tabIndex >= 0 && element.getClientRects().length > 0;
+    });
+  }
+  
+  function handleKeydown(event) {
+    if (event.key !== 'Tab') return;
+    
+    const focusable = getFocusable();
+    if (!focusable.length) {
+      event.preventDefault();
+      return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !container.contains(document.activeElement);
+    
+    if (event.shiftKey && (document.activeElement === first || outside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || outside)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+  
+  return {
+    activate() {
+      document.addEventListener('keydown', handleKeydown);
+    },
+    deactivate() {
+      document.removeEventListener('keydown', handleKeydown);
+    },
+    getFocusable
   };
 }
+
+// Number of open overlays currently holding the body scroll lock
+let scrollLockCount = 0;
+let scrollLockPosition = 0;
+
+/**
+ * Stop the page scrolling behind an overlay
+ * Fixing the body in place (rather than only hiding overflow) also works on iOS Safari.
+ * Calls are counted, so nested overlays can lock and unlock independently
+ */
+export function lockBodyScroll() {
+  scrollLockCount++;
+  if (scrollLockCount > 1) return;
+  
+  scrollLockPosition = window.pageYOffset;
+  document.body.style.position = 'fixed';
+  document.body.style.top = `-${scrollLockPosition}px`;
+  document.body.style.left = '0';
+  document.body.style.right = '0';
+  document.body.classList.add('scroll-locked');
+}
+
+/**
+ * Let the page scroll again once the last overlay has closed
+ */
+export function unlockBodyScroll() {
+  if (scrollLockCount === 0) return;
+  
+  scrollLockCount--;
+  if (scrollLockCount > 0) return;
+  
+  document.body.style.position = '';
+  document.body.style.top = '';
+  document.body.style.left = '';
+  document.body.style.right = '';
+  document.body.classList.remove('scroll-locked');
+  window.scrollTo(0, scrollLockPosition);
+}
+
+/**
+ * Convert a color option to normalized RGB components
+ * 
+ * @param {string|number[]} color - Hex string (#RGB or #RRGGBB), rgb() string or [r, g, b] in the 0-1 range
+ * @return {number[]} - [r, g, b] in the 0-1 range
+ */
+export function toRGB(color) {
+  if (Array.isArray(color)) return color.slice(0, 3);
+  
+  // rgb(r, g, b) or rgb(r g b), as custom properties may hold either
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(String(color).trim());
+  if (rgb) {
+    return rgb.slice(1, 4).map(c => Math.min(255, parseFloat(c)) / 255);
+  }
+  
+  let hex = String(color).trim().replace(/^#/, '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  
+  const value = parseInt(hex, 16);
+  if (hex.length !== 6 || isNaN(value)) {
+    console.warn('Invalid shader color:', color);
+    return [0, 0, 0];
+  }
+  
+  return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+}
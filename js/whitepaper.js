@@ -0,0 +1,574 @@
+/**
+ * White paper reader
+ * Opens the white paper (Markdown or HTML, loaded on first use) in an overlay with a
+ * table of contents, reading progress and #whitepaper/<section> deep links.
+ * Printing it (or downloading the published PDF, with data-pdf-src) can be gated behind
+ * a short lead form, which is only asked for once
+ */
+
+import { registerComponent } from './registry.js';
+import { Dialog } from './dialog.js';
+import { ContactAdapters, CONTACT_VALIDATORS } from './contactDialog.js';
+import { renderMarkdown } from './markdown.js';
+import { getScrollBehavior } from './smoothScroll.js';
+import { i18n } from './i18n.js';
+
+// Space left above a section heading when jumping to it
+const READER_SCROLL_GAP = 16;
+
+export class WhitePaperReader {
+  /**
+   * @param {HTMLElement} element - The .whitepaper-reader dialog element
+   */
+  constructor(element) {
+    this.element = element;
+    this.content = element.querySelector('.reader-content');
+    if (!this.content) {
+      console.error('White paper content container not found in', element);
+      return;
+    }
+    
+    this.dialog = new Dialog(element);
+    this.title = element.querySelector('.reader-title');
+    this.body = element.querySelector('.reader-body');
+    this.toc = element.querySelector('.reader-toc');
+    this.tocList = element.querySelector('.reader-toc-list');
+    this.tocToggle = element.querySelector('.reader-toc-toggle');
+    this.progress = element.querySelector('.reader-progress');
+    this.progressBar = element.querySelector('.reader-progress-bar');
+    this.downloadButton = element.querySelector('.reader-download');
+    this.leadForm = element.querySelector('.lead-form');
+    
+    const { src, pdfSrc, leadCapture, leadEndpoint } = element.dataset;
+    this.src = src;
+    this.pdfSrc = pdfSrc;
+    this.leadCapture = !!this.leadForm && leadCapture !== undefined && leadCapture !== 'false';
+    this.leadAdapter = leadEndpoint ? ContactAdapters.fetch(leadEndpoint) : null;
+    
+    this.loading = null;
+    this.headings = [];
+    this.currentHeading = null;
+    this.scrollFrame = null;
+    
+    this.handleLinkClick = this.handleLinkClick.bind(this);
+    this.handleReaderClick = this.handleReaderClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleDownloadClick = this.handleDownloadClick.bind(this);
+    this.handleLeadSubmit = this.handleLeadSubmit.bind(this);
+    this.handleTocToggle = this.handleTocToggle.bind(this);
+    this.handleClose = this.handleClose.bind(this);
+    
+    element.addEventListener('click', this.handleReaderClick);
+    document.addEventListener('click', this.handleLinkClick);
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.content.addEventListener('scroll', this.handleScroll, { passive: true });
+    element.addEventListener('dialog:close', this.handleClose);
+    
+    if (this.downloadButton) {
+      this.downloadButton.addEventListener('click', this.handleDownloadClick);
+    }
+    
+    // The buttons offer printing unless there's a published PDF to download
+    if (this.pdfSrc) {
+      element.querySelectorAll('[data-i18n="whitepaper.print"]').forEach(button => {
+        button.dataset.i18n = 'whitepaper.download';
+      });
+      i18n.translate(element);
+    }
+    if (this.tocToggle) {
+      this.tocToggle.addEventListener('click', this.handleTocToggle);
+    }
+    if (this.leadForm) {
+      this.leadForm.noValidate = true;
+      this.leadForm.addEventListener('submit', this.handleLeadSubmit);
+    }
+    
+    const section = WhitePaperReader.parseHash(location.hash);
+    if (section !== null) {
+      this.open(section);
+    }
+  }
+  
+  /**
+   * Extract the section from a #whitepaper or #whitepaper/<section> hash
+   * 
+   * @param {string} hash - A location hash
+   * @return {string|null} - The section slug ('' for the start), or null for other hashes
+   */
+  static parseHash(hash) {
+    const match = /^#whitepaper(?:\/(.*))?$/.exec(hash);
+    if (!match) return null;
+    
+    try {
+      return decodeURIComponent(match[1] || '');
+    } catch (error) {
+      return '';
+    }
+  }
+  
+  /**
+   * Turn heading text into a URL-friendly slug
+   * 
+   * @param {string} text - Heading text
+   * @return {string} - The slug
+   */
+  static slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[™®©]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+  
+  /**
+   * Open the reader, loading the paper the first time
+   * 
+   * @param {string} section - Slug of the section to show, or '' for the start
+   * @return {Promise} - Resolves once the paper is shown
+   */
+  open(section = '') {
+    if (!this.dialog.isOpen) {
+      this.showReader();
+      this.dialog.open();
+      document.documentElement.classList.add('whitepaper-open');
+    }
+    
+    return this.load().then(loaded => {
+      if (loaded) this.goToSection(section, section ? getScrollBehavior() : 'auto', false);
+    });
+  }
+  
+  /**
+   * Close the reader
+   */
+  close() {
+    this.dialog.close();
+  }
+  
+  /**
+   * Remove the reader's event listeners
+   */
+  destroy() {
+    this.dialog.destroy();
+    this.element.removeEventListener('click', this.handleReaderClick);
+    this.element.removeEventListener('dialog:close', this.handleClose);
+    document.removeEventListener('click', this.handleLinkClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    cancelAnimationFrame(this.scrollFrame);
+  }
+  
+  /**
+   * Fetch and render the paper, once
+   * 
+   * @return {Promise<boolean>} - Resolves true once the paper is rendered, false if it failed
+   */
+  load() {
+    if (this.loading) return this.loading;
+    
+    this.setStatus(i18n.t('whitepaper.loading'));
+    
+    this.loading = fetch(this.src)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(text => {
+        this.render(/\.(md|markdown)$/i.test(this.src) ? renderMarkdown(text) : WhitePaperReader.extractHTML(text));
+        return true;
+      })
+      .catch(error => {
+        console.error('Error loading white paper:', this.src, error);
+        this.loading = null;
+        this.setStatus(i18n.t('whitepaper.loadError'), true);
+        return false;
+      });
+    
+    return this.loading;
+  }
+  
+  /**
+   * Take the article (or body) out of a full HTML document
+   * 
+   * @param {string} text - HTML source
+   * @return {string} - The HTML to show
+   */
+  static extractHTML(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    doc.querySelectorAll('script, style, link').forEach(node => node.remove());
+    
+    const article = doc.querySelector('article') || doc.body;
+    return article.innerHTML;
+  }
+  
+  /**
+   * Show a loading or error message in place of the paper
+   * 
+   * @param {string} message - Message to show
+   * @param {boolean} retry - Offer a button to try loading again
+   */
+  setStatus(message, retry = false) {
+    this.content.innerHTML = '';
+    
+    const status = document.createElement('p');
+    status.className = 'reader-status';
+    status.setAttribute('role', 'status');
+    status.textContent = message;
+    this.content.appendChild(status);
+    
+    if (retry) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary btn-sm';
+      button.textContent = i18n.t('whitepaper.retry');
+      button.addEventListener('click', () => this.open());
+      this.content.appendChild(button);
+      button.focus();
+    }
+  }
+  
+  /**
+   * Insert the paper and build the table of contents from its headings
+   * 
+   * @param {string} html - The paper as HTML
+   */
+  render(html) {
+    this.content.innerHTML = html;
+    
+    const mainHeading = this.content.querySelector('h1');
+    if (mainHeading && this.title) {
+      this.title.textContent = mainHeading.textContent;
+    }
+    
+    const used = new Set();
+    this.headings = Array.from(this.content.querySelectorAll('h2, h3')).map(heading => {
+      let slug = heading.id ? heading.id.replace(/^whitepaper-/, '') : WhitePaperReader.slugify(heading.textContent);
+      for (let i = 2; used.has(slug); i++) {
+        slug = `${WhitePaperReader.slugify(heading.textContent)}-${i}`;
+      }
+      used.add(slug);
+      
+      heading.id = `whitepaper-${slug}`;
+      heading.setAttribute('tabindex', '-1');
+      return { element: heading, slug, level: Number(heading.tagName[1]) };
+    });
+    
+    if (this.tocList) {
+      this.tocList.innerHTML = '';
+      
+      this.headings.forEach(heading => {
+        const item = document.createElement('li');
+        item.className = `reader-toc-item reader-toc-level-${heading.level}`;
+        
+        const link = document.createElement('a');
+        link.href = `#whitepaper/${heading.slug}`;
+        link.textContent = heading.element.textContent;
+        heading.link = link;
+        
+        item.appendChild(link);
+        this.tocList.appendChild(item);
+      });
+    }
+    
+    if (this.toc) {
+      this.toc.hidden = !this.headings.length;
+    }
+    
+    this.updateProgress();
+  }
+  
+  /**
+   * Scroll the reader to a section
+   * 
+   * @param {string} slug - Section slug, or '' for the start
+   * @param {string} behavior - 'smooth' or 'auto'
+   * @param {boolean} moveFocus - Move keyboard focus to the section heading
+   */
+  goToSection(slug, behavior = getScrollBehavior(), moveFocus = true) {
+    const heading = this.headings.find(item => item.slug === slug);
+    
+    if (!heading) {
+      this.content.scrollTop = 0;
+      this.updateProgress();
+      return;
+    }
+    
+    this.content.scrollTo({ top: Math.max(0, heading.element.offsetTop - READER_SCROLL_GAP), behavior });
+    
+    if (moveFocus) {
+      heading.element.focus({ preventScroll: true });
+    }
+  }
+  
+  /**
+   * Update the progress bar, the current table of contents entry and the deep link
+   */
+  updateProgress() {
+    this.scrollFrame = null;
+    
+    const scrollable = this.content.scrollHeight - this.content.clientHeight;
+    const progress = scrollable > 0 ? Math.min(1, this.content.scrollTop / scrollable) : 0;
+    
+    if (this.progressBar) {
+      this.progressBar.style.transform = `scaleX(${progress})`;
+    }
+    if (this.progress) {
+      this.progress.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+    }
+    
+    // The current section is the last one whose heading has reached the top
+    let current = null;
+    this.headings.forEach(heading => {
+      if (heading.element.offsetTop - this.content.scrollTop <= READER_SCROLL_GAP * 2) {
+        current = heading;
+      }
+    });
+    
+    if (current === this.currentHeading) return;
+    
+    if (this.currentHeading && this.currentHeading.link) {
+      this.currentHeading.link.removeAttribute('aria-current');
+    }
+    if (current && current.link) {
+      current.link.setAttribute('aria-current', 'location');
+    }
+    this.currentHeading = current;
+    
+    // Keep the address bar pointing at the section being read
+    if (this.dialog.isOpen) {
+      history.replaceState(history.state, '', location.pathname + location.search + (current ? `#whitepaper/${current.slug}` : '#whitepaper'));
+    }
+  }
+  
+  /**
+   * Throttle progress updates to one per frame
+   */
+  handleScroll() {
+    if (this.scrollFrame === null) {
+      this.scrollFrame = requestAnimationFrame(() => this.updateProgress());
+    }
+  }
+  
+  /**
+   * Open from #whitepaper links, or jump between sections from the table of contents
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    const link = event.target.closest('a[href^="#"]');
+    if (!link) return;
+    
+    const section = WhitePaperReader.parseHash(link.getAttribute('href'));
+    
+    if (section === null) {
+      // Links out of the paper (e.g. to #contact) close the reader first
+      if (this.dialog.isOpen && this.element.contains(link)) this.close();
+      return;
+    }
+    
+    event.preventDefault();
+    
+    if (this.dialog.isOpen) {
+      this.element.classList.remove('toc-open');
+      this.goToSection(section);
+    } else {
+      this.open(section);
+    }
+  }
+  
+  /**
+   * Handle clicks inside the reader before they reach the page
+   * Links out of the paper (e.g. to #contact) close the reader first, so whatever
+   * they open gets focus
+   * 
+   * @param {MouseEvent} event - The click event
+   */
+  handleReaderClick(event) {
+    if (event.target.closest('.lead-cancel')) {
+      this.showReader();
+      return;
+    }
+    
+    const link = event.target.closest('a[href]');
+    if (link && WhitePaperReader.parseHash(link.getAttribute('href')) === null) {
+      this.close();
+    }
+  }
+  
+  /**
+   * Open when a #whitepaper hash is entered in the address bar
+   */
+  handleHashChange() {
+    const section = WhitePaperReader.parseHash(location.hash);
+    
+    if (section !== null) {
+      this.open(section);
+    }
+  }
+  
+  /**
+   * Show or hide the table of contents on small screens
+   */
+  handleTocToggle() {
+    const open = this.element.classList.toggle('toc-open');
+    this.tocToggle.setAttribute('aria-expanded', String(open));
+  }
+  
+  /**
+   * Tidy up after the dialog closes
+   */
+  handleClose() {
+    document.documentElement.classList.remove('whitepaper-open');
+    this.element.classList.remove('toc-open');
+    
+    if (WhitePaperReader.parseHash(location.hash) !== null) {
+      history.replaceState(history.state, '', location.pathname + location.search);
+    }
+  }
+  
+  /**
+   * Download straight away, or ask for details first if we don't have them yet
+   */
+  handleDownloadClick() {
+    if (this.leadCapture && !WhitePaperReader.hasCompletedLead()) {
+      this.showLeadForm();
+    } else {
+      this.download();
+    }
+  }
+  
+  /**
+   * Swap the paper for the lead form
+   */
+  showLeadForm() {
+    if (this.body) this.body.hidden = true;
+    this.leadForm.hidden = false;
+    
+    const first = this.leadForm.querySelector('input:not([type="hidden"])');
+    if (first) first.focus();
+  }
+  
+  /**
+   * Return from the lead form to the paper
+   */
+  showReader() {
+    if (this.leadForm) this.leadForm.hidden = true;
+    if (this.body) this.body.hidden = false;
+  }
+  
+  /**
+   * Validate the lead form, send the details, remember it was completed and start the download
+   * 
+   * @param {Event} event - The submit event
+   */
+  handleLeadSubmit(event) {
+    event.preventDefault();
+    
+    const lead = {};
+    let firstInvalid = null;
+    
+    ['name', 'email', 'institution'].forEach(name => {
+      const field = this.leadForm.elements[name];
+      if (!field) return;
+      
+      lead[name] = field.value.trim();
+      
+      const message = CONTACT_VALIDATORS[name](lead[name]);
+      const error = this.leadForm.querySelector(`[data-error-for="${name}"]`);
+      
+      if (message) {
+        field.setAttribute('aria-invalid', 'true');
+        firstInvalid = firstInvalid || field;
+      } else {
+        field.removeAttribute('aria-invalid');
+      }
+      if (error) {
+        error.textContent = message || '';
+        error.hidden = !message;
+      }
+    });
+    
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+    
+    // Don't hold the download hostage to the lead endpoint
+    if (this.leadAdapter) {
+      this.leadAdapter(Object.assign({ source: 'whitepaper', page: location.href }, lead))
+        .catch(error => console.error('Error sending white paper lead:', error));
+    }
+    
+    WhitePaperReader.saveLead();
+    this.showReader();
+    if (this.downloadButton) this.downloadButton.focus();
+    this.download();
+  }
+  
+  /**
+   * Produce the PDF: the published file if there is one, otherwise the browser's
+   * print dialog, where the print styles lay out just the paper
+   */
+  download() {
+    if (this.pdfSrc) {
+      const link = document.createElement('a');
+      link.href = this.pdfSrc;
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      return;
+    }
+    
+    this.load().then(loaded => {
+      if (loaded) window.print();
+    });
+  }
+  
+  /**
+   * Whether the lead form was completed before
+   * 
+   * @return {boolean} - True if it was
+   */
+  static hasCompletedLead() {
+    try {
+      const saved = localStorage.getItem(WhitePaperReader.LEAD_STORAGE_KEY);
+      
+      // Earlier versions kept the details given as well; keep just the date
+      if (saved && saved.charAt(0) === '{') {
+        const { date } = JSON.parse(saved);
+        localStorage.setItem(WhitePaperReader.LEAD_STORAGE_KEY, date || new Date().toISOString());
+      }
+      
+      return !!saved;
+    } catch (error) {
+      // Storage disabled or corrupted
+      return false;
+    }
+  }
+  
+  /**
+   * Remember when the lead form was completed; the details themselves aren't kept
+   */
+  static saveLead() {
+    try {
+      localStorage.setItem(WhitePaperReader.LEAD_STORAGE_KEY, new Date().toISOString());
+    } catch (error) {
+      console.warn('Could not remember white paper lead:', error);
+    }
+  }
+}
+
+// localStorage key for when the lead form was completed
+WhitePaperReader.LEAD_STORAGE_KEY = 'platonic.whitepaper.lead';
+
+registerComponent({
+  name: 'whitepaper',
+  deps: ['i18n'],
+  init() {
+    const element = document.querySelector('.whitepaper-reader');
+    return element ? new WhitePaperReader(element) : null;
+  }
+});
@@ -0,0 +1,200 @@
+/**
+ * Local stub server for testing the contact and white paper forms
+ * Serves the site from the repository root and answers POST /api/contact
+ * and POST /api/whitepaper-lead, and logs analytics events sent to
+ * POST /api/analytics. Browsers won't load the app's ES modules from
+ * file:// URLs, so this doubles as the local development server. Paths
+ * without a file extension get index.html, so js/router.js can serve them
+ * 
+ * Usage: node tools/stub-server.js [port]
+ * 
+ * Set CONTACT_STUB to choose how the form endpoints respond:
+ *   ok     - 200 after a short delay (default)
+ *   fail   - 500 every time, to see the error state and the mailto fallback
+ *   flaky  - 503 on every other request, to see the automatic retry succeed
+ *   reject - 422, which isn't retried
+ *   slow   - 200 after 15 seconds, past the client's timeout
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+const MODE = process.env.CONTACT_STUB || 'ok';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// Endpoints answered by handleSubmission
+const FORM_ENDPOINTS = ['/api/contact', '/api/whitepaper-lead'];
+
+// Endpoint answered by handleAnalytics
+const ANALYTICS_ENDPOINT = '/api/analytics';
+
+let requestCount = 0;
+
+/**
+ * Send a JSON response
+ * 
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle a form submission according to CONTACT_STUB
+ * 
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+function handleSubmission(req, res) {
+  let body = '';
+  
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requestCount++;
+    
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    
+    console.log(`POST ${req.url} #${requestCount} (${MODE})`, payload);
+    
+    switch (MODE) {
+      case 'fail':
+        sendJSON(res, 500, { error: 'Simulated server error' });
+        break;
+      case 'flaky':
+        if (requestCount % 2) {
+          sendJSON(res, 503, { error: 'Simulated outage' });
+        } else {
+          sendJSON(res, 200, { ok: true });
+        }
+        break;
+      case 'reject':
+        sendJSON(res, 422, { error: 'Simulated validation error' });
+        break;
+      case 'slow':
+        setTimeout(() => sendJSON(res, 200, { ok: true }), 15000);
+        break;
+      default:
+        setTimeout(() => sendJSON(res, 200, { ok: true }), 500);
+    }
+  });
+}
+
+/**
+ * Log a batch of analytics events
+ * CONTACT_STUB doesn't apply; beacons don't read the response
+ * 
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+function handleAnalytics(req, res) {
+  let body = '';
+  
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let events;
+    try {
+      events = JSON.parse(body).events;
+    } catch (error) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    
+    (Array.isArray(events) ? events : []).forEach(event => {
+      console.log(`analytics ${event.name}`, event.properties);
+    });
+    
+    res.writeHead(204);
+    res.end();
+  });
+}
+
+/**
+ * Serve a file from the repository root
+ * 
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed escapes such as /%E0
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  
+  let filePath = path.join(ROOT, pathname);
+  
+  // Don't serve anything outside the repository
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+  
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  } else if (!path.extname(filePath)) {
+    // A client-side route, e.g. /about
+    filePath = path.join(ROOT, 'index.html');
+  }
+  
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+http.createServer((req, res) => {
+  const pathname = req.url.split('?')[0];
+  
+  if (FORM_ENDPOINTS.indexOf(pathname) !== -1 || pathname === ANALYTICS_ENDPOINT) {
+    if (req.method === 'POST') {
+      if (pathname === ANALYTICS_ENDPOINT) {
+        handleAnalytics(req, res);
+      } else {
+        handleSubmission(req, res);
+      }
+    } else {
+      res.writeHead(405, { 'Allow': 'POST' });
+      res.end();
+    }
+    return;
+  }
+  
+  serveStatic(req, res);
+}).listen(PORT, () => {
+  console.log(`Serving ${ROOT} at http://localhost:${PORT} (contact stub: ${MODE})`);
+});